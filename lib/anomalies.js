@@ -0,0 +1,261 @@
+// Anomaly detection over time records. A periodic scan finds punches that need
+// a manager's attention and records each finding in the exceptions table:
+//   open_shift  - still clocked in after openShiftHours
+//   overlap     - overlaps an earlier record of the same employee
+//   open_break  - a break without an end on a closed shift
+//   long_shift  - closed shift longer than longShiftHours
+//   short_shift - closed shift shorter than shortShiftMinutes
+//
+// Thresholds come from a policy: the defaults (env) with per-location
+// overrides from anomaly_policies. With autoClose, open shifts are clocked out
+// at autoCloseShiftHours after clock-in; their exception stays open for review.
+
+export const ANOMALY_KINDS = ['open_shift', 'overlap', 'open_break', 'long_shift', 'short_shift'];
+export const EXCEPTION_STATUSES = ['open', 'resolved', 'ignored'];
+
+export const DEFAULT_ANOMALY_POLICY = {
+    openShiftHours: 16,
+    longShiftHours: 12,
+    shortShiftMinutes: 5,
+    autoClose: false,
+    autoCloseShiftHours: 8
+};
+
+// Policy fields and their anomaly_policies columns. A null column inherits the default.
+export const POLICY_COLUMNS = {
+    openShiftHours: 'open_shift_hours',
+    longShiftHours: 'long_shift_hours',
+    shortShiftMinutes: 'short_shift_minutes',
+    autoClose: 'auto_close',
+    autoCloseShiftHours: 'auto_close_shift_hours'
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function breakStart(b) {
+    return b.start ?? b.startTime;
+}
+
+function breakEnd(b) {
+    return b.end ?? b.endTime;
+}
+
+// Validate a policy override, returning an error message or null. Fields may
+// be null to inherit the default.
+export function validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'Policy must be an object';
+    }
+    for (const [field, value] of Object.entries(policy)) {
+        if (!POLICY_COLUMNS[field]) return `Unknown policy field: ${field}`;
+        if (value === null) continue;
+        if (field === 'autoClose') {
+            if (typeof value !== 'boolean') return 'autoClose must be true or false';
+        } else if (typeof value !== 'number' || !(value > 0)) {
+            return `${field} must be a positive number`;
+        }
+    }
+    if (policy.autoCloseShiftHours > policy.openShiftHours) {
+        return 'autoCloseShiftHours must not exceed openShiftHours';
+    }
+    return null;
+}
+
+// Effective policy: `defaults` with the non-null fields of an anomaly_policies row
+export function policyFromRow(row, defaults = DEFAULT_ANOMALY_POLICY) {
+    const policy = { ...defaults };
+    if (!row) return policy;
+    for (const [field, column] of Object.entries(POLICY_COLUMNS)) {
+        if (row[column] !== null && row[column] !== undefined) {
+            policy[field] = field === 'autoClose' ? row[column] : Number(row[column]);
+        }
+    }
+    return policy;
+}
+
+// Find anomalies in `records` ({ id, employeeId, locationId, clockIn, clockOut,
+// breaks } with Date times). `policyFor(locationId)` returns the policy for a
+// record. Returns findings as { kind, timerecordId, relatedTimerecordId,
+// employeeId, locationId, details }.
+export function detectAnomalies(records, policyFor, now = new Date()) {
+    const findings = [];
+    const finding = (kind, record, details, relatedTimerecordId = null) => findings.push({
+        kind,
+        timerecordId: record.id,
+        relatedTimerecordId,
+        employeeId: record.employeeId,
+        locationId: record.locationId,
+        details
+    });
+
+    const byEmployee = new Map();
+    for (const record of records) {
+        const policy = policyFor(record.locationId);
+
+        if (!record.clockOut) {
+            const hours = (now - record.clockIn) / MS_PER_HOUR;
+            if (hours >= policy.openShiftHours) {
+                finding('open_shift', record, { hours: round2(hours) });
+            }
+        } else {
+            const minutes = (record.clockOut - record.clockIn) / MS_PER_MINUTE;
+            if (minutes > policy.longShiftHours * 60) {
+                finding('long_shift', record, { hours: round2(minutes / 60) });
+            } else if (minutes < policy.shortShiftMinutes) {
+                finding('short_shift', record, { minutes: round2(minutes) });
+            }
+
+            const breaks = Array.isArray(record.breaks) ? record.breaks : [];
+            breaks.forEach((b, breakIndex) => {
+                if (!breakEnd(b)) {
+                    finding('open_break', record, { breakIndex, start: breakStart(b) });
+                }
+            });
+        }
+
+        if (!byEmployee.has(record.employeeId)) byEmployee.set(record.employeeId, []);
+        byEmployee.get(record.employeeId).push(record);
+    }
+
+    // Open shifts count as running until now
+    for (const list of byEmployee.values()) {
+        list.sort((a, b) => a.clockIn - b.clockIn || a.id.localeCompare(b.id));
+        for (let i = 1; i < list.length; i++) {
+            for (let j = 0; j < i; j++) {
+                const earlierEnd = list[j].clockOut || now;
+                if (earlierEnd > list[i].clockIn) {
+                    const overlapEnd = Math.min(earlierEnd, list[i].clockOut || now);
+                    finding('overlap', list[i], { overlapMinutes: round2((overlapEnd - list[i].clockIn) / MS_PER_MINUTE) }, list[j].id);
+                }
+            }
+        }
+    }
+
+    return findings;
+}
+
+// Clock-out for auto-closing an open shift: autoCloseShiftHours after
+// clock-in, but no earlier than the last break start and never in the future
+export function autoCloseTime(record, policy, now = new Date()) {
+    let clockOut = record.clockIn.getTime() + policy.autoCloseShiftHours * MS_PER_HOUR;
+    for (const b of Array.isArray(record.breaks) ? record.breaks : []) {
+        const start = Date.parse(breakStart(b));
+        if (start > clockOut) clockOut = start;
+    }
+    return new Date(Math.min(clockOut, now.getTime()));
+}
+
+function findingKey(kind, timerecordId, relatedTimerecordId) {
+    return `${kind}:${timerecordId}:${relatedTimerecordId || ''}`;
+}
+
+// Run one scan: record new findings, auto-close open shifts where the
+// location's policy says so, and resolve open exceptions whose records were
+// fixed or deleted since. Records clocked in within `lookbackDays` are
+// scanned, plus every open shift. Only one scan runs at a time (across server
+// instances): with `wait` a scan queues behind a running one, otherwise it is
+// skipped. Returns { detected, autoClosed, resolved }, or null if skipped.
+export async function scanAnomalies(pool, { defaults = DEFAULT_ANOMALY_POLICY, lookbackDays = 14, now = new Date(), wait = false } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const lock = await client.query(wait
+            ? `SELECT pg_advisory_xact_lock(hashtext('timekiosk_anomaly_scan')), true AS locked`
+            : `SELECT pg_try_advisory_xact_lock(hashtext('timekiosk_anomaly_scan')) AS locked`);
+        if (!lock.rows[0].locked) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        // Audited as the system, with a reason for auto-closed shifts
+        await client.query(`SELECT set_config('timekiosk.audit_reason', 'Auto-closed by anomaly scan', true)`);
+
+        const policies = await client.query('SELECT * FROM anomaly_policies');
+        const policyRows = new Map(policies.rows.map(row => [row.location_id, row]));
+        const policyFor = (locationId) => policyFromRow(policyRows.get(locationId), defaults);
+
+        const result = await client.query(
+            `SELECT * FROM timerecords
+             WHERE _deleted = false AND (clock_out IS NULL OR clock_in >= $1::timestamptz - make_interval(days => $2))
+             ORDER BY clock_in ASC, id ASC`,
+            [now, lookbackDays]
+        );
+        const records = result.rows.map(row => ({
+            id: row.id,
+            employeeId: row.employee_id,
+            locationId: row.location_id,
+            clockIn: row.clock_in,
+            clockOut: row.clock_out,
+            breaks: row.breaks
+        }));
+        const findings = detectAnomalies(records, policyFor, now);
+
+        let detected = 0, autoClosed = 0, resolved = 0;
+        for (const f of findings) {
+            const record = records.find(r => r.id === f.timerecordId);
+            const policy = policyFor(f.locationId);
+            const details = { ...f.details };
+
+            if (f.kind === 'open_shift' && policy.autoClose) {
+                const clockOut = autoCloseTime(record, policy, now);
+                const breaks = (Array.isArray(record.breaks) ? record.breaks : [])
+                    .map(b => breakEnd(b) ? b : { ...b, end: clockOut.toISOString() });
+                const closed = await client.query(
+                    `UPDATE timerecords SET clock_out = $2, breaks = $3, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1 AND clock_out IS NULL`,
+                    [record.id, clockOut, JSON.stringify(breaks)]
+                );
+                if (closed.rowCount > 0) {
+                    autoClosed++;
+                    details.autoClosed = true;
+                    details.clockOut = clockOut.toISOString();
+                }
+            }
+
+            const inserted = await client.query(
+                `INSERT INTO exceptions (kind, timerecord_id, related_timerecord_id, employee_id, location_id, details)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (kind, timerecord_id, COALESCE(related_timerecord_id, '')) DO UPDATE
+                 SET details = EXCLUDED.details, updated_at = CURRENT_TIMESTAMP
+                 WHERE exceptions.status = 'open'
+                 RETURNING (xmax = 0) AS inserted`,
+                [f.kind, f.timerecordId, f.relatedTimerecordId, f.employeeId, f.locationId, JSON.stringify(details)]
+            );
+            if (inserted.rows.length > 0 && inserted.rows[0].inserted) detected++;
+        }
+
+        // Open exceptions no longer detected: resolved if their record was
+        // scanned (and so fixed) or deleted. Auto-closed shifts stay open for review.
+        const found = new Set(findings.map(f => findingKey(f.kind, f.timerecordId, f.relatedTimerecordId)));
+        const scanned = new Set(records.map(r => r.id));
+        const open = await client.query(
+            `SELECT e.id, e.kind, e.timerecord_id, e.related_timerecord_id, t.id IS NULL AS record_gone
+             FROM exceptions e
+             LEFT JOIN timerecords t ON t.id = e.timerecord_id AND t._deleted = false
+             WHERE e.status = 'open' AND NOT COALESCE((e.details ->> 'autoClosed')::boolean, false)`
+        );
+        for (const e of open.rows) {
+            if (found.has(findingKey(e.kind, e.timerecord_id, e.related_timerecord_id))) continue;
+            if (!e.record_gone && !scanned.has(e.timerecord_id)) continue;
+            await client.query(
+                `UPDATE exceptions SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by_type = 'system',
+                        note = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [e.id, e.record_gone ? 'Time record was deleted' : 'No longer detected']
+            );
+            resolved++;
+        }
+
+        await client.query('COMMIT');
+        return { detected, autoClosed, resolved };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
@@ -0,0 +1,211 @@
+import readline from 'readline';
+
+// Full database backups (GET /backup) and restores into an empty database
+// (POST /restore). A backup holds every row of the tables below as PostgreSQL
+// renders it with to_jsonb, so timestamps and JSON columns restore to exactly
+// the stored values. Left out: media files (copy MEDIA_DIR alongside),
+// sessions, enrollment codes and PIN lockouts, which are short-lived, and
+// webhook deliveries, so a restore doesn't send old events again. PIN lookup
+// after a restore needs the same PIN_SECRET.
+//
+// JSON:   { format, version, schemaVersion, createdAt, tables: { [table]: [rows] } }
+// NDJSON: the header, with tables: [names], on the first line; then one
+//         { table, row } per line; then { end: true }, so a cut-off file
+//         isn't mistaken for a complete one
+//
+// schemaVersion is the latest applied migration; a backup only restores into
+// a database at the same version.
+
+export const BACKUP_FORMAT = 'timekiosk-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_FORMATS = ['json', 'ndjson'];
+
+// In restore order
+export const BACKUP_TABLES = [
+    'locations', 'departments', 'media', 'employees', 'timerecords', 'settings', 'correction_requests',
+    'exceptions', 'anomaly_policies', 'devices', 'admin_users', 'webhooks',
+    'payroll_export_mappings', 'payroll_exports', 'payroll_period_locks', 'audit_log'
+];
+
+const BATCH_SIZE = 500;
+
+// A backup that can't be restored; `status` is the HTTP status to answer with
+function backupError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+export async function schemaVersion(db) {
+    const result = await db.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+    return result.rows[0].version;
+}
+
+// The backup as text chunks. Read through `client` inside a REPEATABLE READ
+// transaction, so all tables come from the same snapshot.
+export async function* backupChunks(client, { format = 'json', createdAt = new Date() } = {}) {
+    const ndjson = format === 'ndjson';
+    const header = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: await schemaVersion(client),
+        createdAt: createdAt.toISOString()
+    };
+    yield ndjson
+        ? `${JSON.stringify({ ...header, tables: BACKUP_TABLES })}\n`
+        : `${JSON.stringify(header).slice(0, -1)},"tables":{`;
+
+    for (const [index, table] of BACKUP_TABLES.entries()) {
+        if (!ndjson) yield `${index > 0 ? ',' : ''}${JSON.stringify(table)}:[`;
+        await client.query(`DECLARE backup_rows NO SCROLL CURSOR FOR SELECT to_jsonb(t)::text AS row FROM ${table} t`);
+        for (let first = true; ; first = false) {
+            const { rows } = await client.query(`FETCH ${BATCH_SIZE} FROM backup_rows`);
+            if (rows.length === 0) break;
+            yield ndjson
+                ? rows.map(({ row }) => `{"table":${JSON.stringify(table)},"row":${row}}\n`).join('')
+                : `${first ? '' : ','}${rows.map(({ row }) => row).join(',')}`;
+        }
+        await client.query('CLOSE backup_rows');
+        if (!ndjson) yield ']';
+    }
+    yield ndjson ? '{"end":true}\n' : '}}\n';
+}
+
+// Restore entries of a parsed JSON backup: { header }, then { table, row }
+export function* jsonBackupEntries(backup) {
+    if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+        throw backupError('Backup must be a JSON object');
+    }
+    const { tables, ...header } = backup;
+    if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+        throw backupError('Backup has no tables');
+    }
+    yield { header };
+    for (const [table, rows] of Object.entries(tables)) {
+        if (!Array.isArray(rows)) throw backupError(`Table ${table} must be an array of rows`);
+        for (const row of rows) yield { table, row };
+    }
+    yield { end: true };
+}
+
+// Restore entries of an NDJSON backup read from `stream`
+export async function* ndjsonBackupEntries(stream) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let number = 0;
+    let header = true;
+    for await (const line of lines) {
+        number++;
+        if (line.trim() === '') continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            throw backupError(`Line ${number} is not valid JSON`);
+        }
+        yield header ? { header: entry } : entry;
+        header = false;
+    }
+}
+
+function checkHeader(header, currentVersion) {
+    if (!header || header.format !== BACKUP_FORMAT) {
+        throw backupError('Not a TimeKiosk backup');
+    }
+    if (header.version !== BACKUP_VERSION) {
+        throw backupError(`Unsupported backup version ${header.version}`);
+    }
+    if (header.schemaVersion !== currentVersion) {
+        throw backupError(
+            `Backup is from schema version ${header.schemaVersion} but this database is at ${currentVersion}; ` +
+            'restore it with the server version that made it',
+            409
+        );
+    }
+}
+
+// A fresh database only holds the default settings row from the initial migration
+async function isEmpty(client) {
+    for (const table of BACKUP_TABLES) {
+        const result = await client.query(
+            `SELECT EXISTS (SELECT 1 FROM ${table} ${table === 'settings' ? `WHERE id <> 'GLOBAL_SETTINGS'` : ''}) AS found`
+        );
+        if (result.rows[0].found) return false;
+    }
+    return true;
+}
+
+// Serial columns continue after the restored ids
+async function resetSequences(client) {
+    const result = await client.query(
+        `SELECT table_name, column_name FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = ANY($1::text[]) AND column_default LIKE 'nextval(%'`,
+        [BACKUP_TABLES]
+    );
+    for (const { table_name: table, column_name: column } of result.rows) {
+        await client.query(
+            `SELECT setval(pg_get_serial_sequence($1, $2), COALESCE((SELECT MAX(${column}) FROM ${table}), 0) + 1, false)`,
+            [table, column]
+        );
+    }
+}
+
+// Load backup `entries` into an empty database through `client`, inside the
+// caller's transaction. Triggers are off meanwhile, so the rows keep their
+// timestamps and no audit entries or change notifications are added; taking
+// the table locks for that also keeps writers out until the restore commits.
+// Returns the number of rows restored per table.
+export async function restoreBackup(client, entries) {
+    const counts = Object.fromEntries(BACKUP_TABLES.map(table => [table, 0]));
+    let started = false;
+    let ended = false;
+    let batch = [];
+    let batchTable = null;
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await client.query(
+            `INSERT INTO ${batchTable} SELECT * FROM jsonb_populate_recordset(NULL::${batchTable}, $1::jsonb)`,
+            [JSON.stringify(batch)]
+        );
+        counts[batchTable] += batch.length;
+        batch = [];
+    };
+
+    for await (const entry of entries) {
+        if (!started) {
+            checkHeader(entry.header, await schemaVersion(client));
+            for (const table of BACKUP_TABLES) {
+                await client.query(`ALTER TABLE ${table} DISABLE TRIGGER USER`);
+            }
+            if (!await isEmpty(client)) {
+                throw backupError('Database is not empty; restore into a freshly migrated database', 409);
+            }
+            await client.query('DELETE FROM settings');
+            started = true;
+            continue;
+        }
+        if (ended) throw backupError('Backup continues after its end');
+        if (entry.end === true) {
+            ended = true;
+            continue;
+        }
+
+        const { table, row } = entry;
+        if (!BACKUP_TABLES.includes(table)) throw backupError(`Unknown table: ${table}`);
+        if (!row || typeof row !== 'object' || Array.isArray(row)) throw backupError(`A ${table} row is not an object`);
+        if (table !== batchTable || batch.length >= BATCH_SIZE) {
+            await flush();
+            batchTable = table;
+        }
+        batch.push(row);
+    }
+    if (!started) throw backupError('Backup is empty');
+    if (!ended) throw backupError('Backup is incomplete');
+    await flush();
+
+    for (const table of BACKUP_TABLES) {
+        await client.query(`ALTER TABLE ${table} ENABLE TRIGGER USER`);
+    }
+    await resetSequences(client);
+    return counts;
+}
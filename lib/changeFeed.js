@@ -0,0 +1,94 @@
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+
+// Live change feed: Postgres triggers pg_notify() on every row change (see
+// migrations/002_change_notify_triggers.sql) and a dedicated pool client
+// LISTENs for them, re-emitting each one as a 'change' event. Because the
+// triggers live in the database, writes made directly in SQL reach
+// subscribers too.
+
+export const CHANGE_CHANNEL = 'timekiosk_changes';
+
+// Emits:
+//   'change' { collection, id, op } for every notification
+//   'resync' after the listener connection was lost and re-established,
+//            since notifications sent in between are gone for good
+export class ChangeFeed extends EventEmitter {
+    constructor(pool, { channel = CHANGE_CHANNEL, reconnectDelayMs = 5000 } = {}) {
+        super();
+        this.pool = pool;
+        this.channel = channel;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.client = null;
+        this.reconnectTimer = null;
+        this.stopped = false;
+    }
+
+    async start() {
+        this.stopped = false;
+        const client = await this.pool.connect();
+
+        client.on('notification', (msg) => {
+            if (msg.channel !== this.channel) return;
+            try {
+                this.emit('change', JSON.parse(msg.payload));
+            } catch (err) {
+                logger.error('Change feed: ignoring malformed notification', { payload: msg.payload });
+            }
+        });
+        // An ended connection without an error (e.g. the server closed it) is
+        // just as lost
+        client.on('error', (err) => this.handleConnectionLost(client, err));
+        client.on('end', () => this.handleConnectionLost(client, new Error('Listener connection ended')));
+
+        try {
+            await client.query(`LISTEN ${this.channel}`);
+        } catch (err) {
+            client.release(err);
+            throw err;
+        }
+        this.client = client;
+    }
+
+    // Only the current listener counts; a released or replaced client is ignored
+    handleConnectionLost(client, err) {
+        if (this.client !== client) return;
+        logger.error('Change feed: listener connection lost', { err });
+        this.client.release(err);
+        this.client = null;
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.stopped) return;
+            try {
+                await this.start();
+                logger.info('Change feed: listener reconnected');
+                this.emit('resync');
+            } catch (err) {
+                logger.error('Change feed: reconnect failed', { err });
+                this.scheduleReconnect();
+            }
+        }, this.reconnectDelayMs);
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const client = this.client;
+        this.client = null;
+        if (!client) return;
+
+        try {
+            await client.query(`UNLISTEN ${this.channel}`);
+            client.release();
+        } catch (err) {
+            client.release(err);
+        }
+    }
+}
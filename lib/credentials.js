@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Credential helpers. Device and session tokens are long random values, so a
+// plain SHA-256 is enough to store them. Passwords and PINs are user-chosen and
+// get a salted scrypt hash instead.
+
+// Unambiguous characters for codes typed in by hand (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+export function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Short one-time code such as "K7QM-3XPA"
+export function generateEnrollmentCode() {
+    let code = '';
+    for (let i = 0; i < 8; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Accept codes regardless of case, spacing or dashes
+export function normalizeEnrollmentCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Constant-time string comparison
+export function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Secret hashes are stored as "scrypt$<salt>$<hash>" (base64url)
+const SCRYPT_KEYLEN = 64;
+
+export async function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scrypt(String(secret), salt, SCRYPT_KEYLEN);
+    return `scrypt$${salt.toString('base64url')}$${derived.toString('base64url')}`;
+}
+
+export async function verifySecret(secret, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64url');
+    const derived = await scrypt(String(secret), Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+// Deterministic keyed hash, for lookups and unique indexes on low-entropy
+// values such as PINs. Useless to an attacker who doesn't also have the key.
+export function keyedHash(value, key, purpose) {
+    return crypto.createHmac('sha256', `${purpose}:${key}`).update(String(value)).digest('hex');
+}
+
+// Short-lived signed token: "<payload>.<signature>", payload is base64url JSON
+// with an `exp` (ms since epoch). Returns the payload, or null if invalid/expired.
+export function signToken(payload, key) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', key).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+export function verifySignedToken(token, key) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', key).update(body).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        return payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
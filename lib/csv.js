@@ -0,0 +1,65 @@
+// CSV (RFC 4180): fields separated by commas, quoted with double quotes when
+// they contain a comma, quote or line break, lines ending in CRLF.
+
+const CRLF = '\r\n';
+
+export function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(fields) {
+    return fields.map(csvField).join(',') + CRLF;
+}
+
+// Parse CSV text into rows of fields. Accepts LF or CRLF line endings and a
+// leading byte order mark; blank lines are skipped. Each row is { line, fields }
+// with its 1-based line number. Throws on an unterminated quoted field.
+export function parseCsv(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+    endRow();
+    return rows;
+}
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { csvLine } from './csv.js';
+import { validatePin, pinFingerprint, setEmployeePin } from './pins.js';
+import { validateDocument, checkReferences, rowToApi, writeQuery } from './schemas.js';
+
+// Bulk employee import from CSV (see parseCsv in csv.js). The first row names
+// the columns, in any order and case:
+//   id              - an existing employee is updated; a new id or a blank
+//                     cell creates one
+//   name            - required for new employees
+//   location        - location name or id
+//   department      - department name or id
+//   pin             - the employee's new PIN
+//   archived, isTemp, autoDeductLunch - true/false, yes/no or 1/0
+//   tempAgency
+// Blank cells leave an existing employee's value as it is. An import is
+// planned first (the dry-run preview) and only applied if no row has errors.
+
+export const IMPORT_COLUMNS = ['id', 'name', 'location', 'department', 'pin', 'archived', 'isTemp', 'autoDeductLunch', 'tempAgency'];
+
+const COLUMN_ALIASES = { employeeid: 'id', locationid: 'location', departmentid: 'department' };
+const BOOLEAN_COLUMNS = ['archived', 'isTemp', 'autoDeductLunch'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+function columnFor(header) {
+    const key = header.trim().toLowerCase().replace(/[\s_-]/g, '');
+    return COLUMN_ALIASES[key] || IMPORT_COLUMNS.find(column => column.toLowerCase() === key) || null;
+}
+
+// Ids and lowercased names of the live rows of `table`
+async function loadNames(db, table) {
+    const result = await db.query(`SELECT id, name FROM ${table} WHERE _deleted = false`);
+    const byName = new Map();
+    for (const row of result.rows) {
+        const key = String(row.name).trim().toLowerCase();
+        byName.set(key, [...(byName.get(key) || []), row.id]);
+    }
+    return { ids: new Set(result.rows.map(row => row.id)), byName };
+}
+
+// A location/department given by id or (case-insensitive) name
+function resolveName(names, value, noun) {
+    if (names.ids.has(value)) return { id: value };
+    const matches = names.byName.get(value.toLowerCase()) || [];
+    if (matches.length === 1) return { id: matches[0] };
+    return { error: matches.length > 1 ? `matches more than one ${noun}, use its id` : `no ${noun} named "${value}"` };
+}
+
+// Plan an import of parsed CSV rows. Returns { creates, updates, unchanged,
+// errors }: creates/updates/unchanged hold { line, id, name, changes, doc, pin },
+// errors { line, field, message }.
+export async function planEmployeeImport(db, rows) {
+    const plan = { creates: [], updates: [], unchanged: [], errors: [] };
+    if (rows.length === 0) {
+        plan.errors.push({ line: 1, field: '', message: 'CSV is empty' });
+        return plan;
+    }
+
+    const [header, ...records] = rows;
+    const columns = header.fields.map(columnFor);
+    header.fields.forEach((name, i) => {
+        if (!columns[i]) {
+            plan.errors.push({ line: header.line, field: name, message: `unknown column, expected: ${IMPORT_COLUMNS.join(', ')}` });
+        } else if (columns.indexOf(columns[i]) !== i) {
+            plan.errors.push({ line: header.line, field: name, message: 'duplicate column' });
+        }
+    });
+    if (plan.errors.length > 0) return plan;
+
+    const locations = await loadNames(db, 'locations');
+    const departments = await loadNames(db, 'departments');
+
+    const cellsOf = record => Object.fromEntries(columns
+        .map((column, i) => [column, (record.fields[i] || '').trim()])
+        .filter(([, value]) => value !== ''));
+    const parsed = records.map(record => ({ line: record.line, cells: cellsOf(record), extra: record.fields.length > columns.length }));
+
+    const ids = parsed.map(({ cells }) => cells.id).filter(Boolean);
+    const existing = await db.query('SELECT * FROM employees WHERE id = ANY($1::text[])', [ids]);
+    const current = new Map(existing.rows.map(row => [row.id, row]));
+
+    // PINs already taken by employees other than the ones being imported over
+    const fingerprints = parsed.map(({ cells }) => cells.pin && !validatePin(cells.pin) ? pinFingerprint(cells.pin) : null);
+    const taken = await db.query(
+        'SELECT id, pin_fingerprint FROM employees WHERE pin_fingerprint = ANY($1::text[])',
+        [fingerprints.filter(Boolean)]
+    );
+    const pinOwners = new Map(taken.rows.map(row => [row.pin_fingerprint, row.id]));
+
+    const seenIds = new Set();
+    const seenPins = new Map();
+    for (const [index, { line, cells, extra }] of parsed.entries()) {
+        const errors = [];
+        const fail = (field, message) => errors.push({ line, field, message });
+
+        if (extra) fail('', 'has more fields than the header');
+        const row = cells.id ? current.get(cells.id) : null;
+        const id = cells.id || `EMP-${crypto.randomUUID()}`;
+        if (cells.id && seenIds.has(cells.id)) fail('id', 'appears more than once in the file');
+        seenIds.add(id);
+        if (row && row._deleted) fail('id', 'refers to a deleted employee');
+
+        const input = row ? rowToApi('employees', row) : {};
+        if (cells.name !== undefined) input.name = cells.name;
+        if (cells.tempAgency !== undefined) input.tempAgency = cells.tempAgency;
+        for (const column of BOOLEAN_COLUMNS) {
+            if (cells[column] === undefined) continue;
+            const value = cells[column].toLowerCase();
+            if (TRUE_VALUES.includes(value)) input[column] = true;
+            else if (FALSE_VALUES.includes(value)) input[column] = false;
+            else fail(column, 'must be true or false');
+        }
+        for (const [column, field, names] of [['location', 'locationId', locations], ['department', 'departmentId', departments]]) {
+            if (cells[column] === undefined) continue;
+            const resolved = resolveName(names, cells[column], column);
+            if (resolved.error) fail(column, resolved.error);
+            else input[field] = resolved.id;
+        }
+
+        if (cells.pin !== undefined) {
+            const pinError = validatePin(cells.pin);
+            const owner = fingerprints[index] && pinOwners.get(fingerprints[index]);
+            if (pinError) fail('pin', pinError);
+            else if (seenPins.has(fingerprints[index])) fail('pin', `is also used on line ${seenPins.get(fingerprints[index])}`);
+            else if (owner && owner !== id) fail('pin', 'is already in use');
+            if (fingerprints[index]) seenPins.set(fingerprints[index], line);
+        }
+
+        const { doc, errors: fieldErrors } = validateDocument('employees', input, { id });
+        for (const error of fieldErrors) fail(error.field, error.message);
+        if (errors.length === 0) {
+            for (const error of await checkReferences(db, 'employees', doc)) fail(error.field, error.message);
+        }
+        if (errors.length > 0) {
+            plan.errors.push(...errors);
+            continue;
+        }
+
+        const before = row ? rowToApi('employees', row) : {};
+        const changes = Object.keys(doc).filter(field => field !== 'id' && (!row || before[field] !== doc[field]));
+        if (cells.pin !== undefined) changes.push('pin');
+        const item = { line, id, name: doc.name, changes, doc, pin: cells.pin || null };
+        if (!row) plan.creates.push(item);
+        else if (changes.length > 0) plan.updates.push(item);
+        else plan.unchanged.push(item);
+    }
+    return plan;
+}
+
+// The plan as returned to clients: no documents or PINs
+export function importPreview(plan) {
+    const summary = ({ line, id, name, changes }) => ({ line, id, name, changes });
+    return {
+        creates: plan.creates.map(summary),
+        updates: plan.updates.map(summary),
+        unchanged: plan.unchanged.map(({ line, id, name }) => ({ line, id, name })),
+        errors: plan.errors
+    };
+}
+
+// Write a planned import (without errors) through `client`, inside the
+// caller's transaction
+export async function applyEmployeeImport(client, plan) {
+    for (const [items, upsert] of [[plan.creates, false], [plan.updates, true]]) {
+        for (const { doc, pin } of items) {
+            const { text, values } = writeQuery('employees', doc, { upsert });
+            await client.query(text, values);
+            if (pin) await setEmployeePin(client, doc.id, pin);
+        }
+    }
+}
+
+// Employees as CSV in the import format, locations and departments by name
+export async function* employeeCsvLines(db) {
+    const result = await db.query(
+        `SELECT e.*, l.name AS location_name, d.name AS department_name
+         FROM employees e
+         LEFT JOIN locations l ON l.id = e.location_id
+         LEFT JOIN departments d ON d.id = e.department_id
+         WHERE e._deleted = false
+         ORDER BY e.name, e.id`
+    );
+    const columns = IMPORT_COLUMNS.filter(column => column !== 'pin');
+    yield csvLine(columns);
+    for (const row of result.rows) {
+        const employee = rowToApi('employees', row);
+        yield csvLine(columns.map(column => {
+            if (column === 'location') return row.location_name || employee.locationId;
+            if (column === 'department') return row.department_name || employee.departmentId;
+            return employee[column];
+        }));
+    }
+}
@@ -0,0 +1,40 @@
+// Structured logging: one JSON object per line, on stdout (stderr for warn and
+// error), e.g.
+//   {"time":"2024-03-10T06:00:00.000Z","level":"error","msg":"Sync push error","requestId":"...","err":{...}}
+// LOG_LEVEL (debug, info, warn or error; default info) drops the levels below
+// it. Request handlers log through req.log, a child logger that adds the
+// request id.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(err) {
+    const serialized = { name: err.name, message: err.message };
+    if (err.code !== undefined) serialized.code = err.code;
+    if (err.stack) serialized.stack = err.stack;
+    return serialized;
+}
+
+// `fields` go into every entry; Error values in an entry's fields are
+// written as { name, message, code, stack }
+export function createLogger(fields = {}) {
+    const write = (level, msg, extra = {}) => {
+        // Read on every call, so .env values loaded after import still apply
+        if (LEVELS[level] < (LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info)) return;
+        const entry = { time: new Date().toISOString(), level, msg, ...fields };
+        for (const [name, value] of Object.entries(extra)) {
+            entry[name] = value instanceof Error ? serializeError(value) : value;
+        }
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        debug: (msg, extra) => write('debug', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        error: (msg, extra) => write('error', msg, extra),
+        child: (more) => createLogger({ ...fields, ...more })
+    };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// Uploaded images (employee photos, logos). Records reference them by media
+// id instead of carrying the bytes inline, so syncing a collection stays small.
+// Each upload is stored as-is plus a thumbnail; both are immutable, so their
+// SHA-256 doubles as the ETag.
+
+// Accepted formats, as detected from the bytes, and the type they're served as
+export const MEDIA_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+export const THUMBNAIL_SIZE = 256;
+const THUMBNAIL_TYPE = 'image/webp';
+
+export function mediaUrl(id, variant) {
+    return variant === 'thumbnail' ? `/media/${id}/thumbnail` : `/media/${id}`;
+}
+
+// Identify an image by its content; the client's Content-Type isn't trusted.
+// Returns { contentType, width, height }, or null if it isn't an accepted image.
+export async function inspectImage(buffer) {
+    try {
+        const { format, width, height } = await sharp(buffer).metadata();
+        if (!MEDIA_TYPES[format]) return null;
+        return { contentType: MEDIA_TYPES[format], width, height };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Bytes of a base64 data URL (data:image/png;base64,...), or null
+export function parseDataUrl(value) {
+    const match = typeof value === 'string' && /^data:[^,]*;base64,(.*)$/s.exec(value);
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Store an image and its thumbnail, returning the media row, or null if
+// `buffer` isn't an accepted image. `uploadedBy` is { type, id }.
+export async function storeMedia(db, storage, buffer, uploadedBy = {}) {
+    const image = await inspectImage(buffer);
+    if (!image) return null;
+
+    const id = crypto.randomUUID();
+    const thumbnail = await sharp(buffer)
+        .rotate() // apply EXIF orientation
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    const keys = { original: id, thumbnail: `${id}.thumb` };
+
+    await storage.put(keys.original, buffer);
+    await storage.put(keys.thumbnail, thumbnail);
+    try {
+        const result = await db.query(
+            `INSERT INTO media (id, content_type, byte_size, width, height, etag, storage_key,
+                                thumbnail_content_type, thumbnail_byte_size, thumbnail_etag, thumbnail_storage_key,
+                                uploaded_by_type, uploaded_by_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             RETURNING *`,
+            [id, image.contentType, buffer.length, image.width, image.height, sha256(buffer), keys.original,
+                THUMBNAIL_TYPE, thumbnail.length, sha256(thumbnail), keys.thumbnail,
+                uploadedBy.type || 'system', uploadedBy.id || null]
+        );
+        return result.rows[0];
+    } catch (err) {
+        await Promise.all([storage.remove(keys.original), storage.remove(keys.thumbnail)]);
+        throw err;
+    }
+}
+
+export function mediaToApi(row) {
+    return {
+        id: row.id,
+        contentType: row.content_type,
+        byteSize: row.byte_size,
+        width: row.width,
+        height: row.height,
+        url: mediaUrl(row.id),
+        thumbnailUrl: mediaUrl(row.id, 'thumbnail'),
+        uploadedByType: row.uploaded_by_type,
+        uploadedById: row.uploaded_by_id,
+        createdAt: row.created_at
+    };
+}
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+
+// Uploaded media bytes live in a storage backend and are looked up by key;
+// the media table holds the metadata. A backend implements:
+//   put(key, buffer)       store an object, replacing any existing one
+//   createReadStream(key)  readable stream of the object
+//   remove(key)            delete an object, ignoring missing ones
+// Only local disk exists today. Another backend (S3, ...) only needs the same
+// three methods and a case in createMediaStorage().
+
+// Keys are generated by the server, but never let one escape the storage root
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export class LocalDiskStorage {
+    constructor(root) {
+        this.root = path.resolve(root);
+    }
+
+    // Spread files over subdirectories by key prefix
+    pathFor(key) {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid media key: ${key}`);
+        }
+        return path.join(this.root, key.slice(0, 2), key);
+    }
+
+    async put(key, data) {
+        const file = this.pathFor(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // Write then rename, so readers never see a partial file
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, file);
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.pathFor(key));
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.pathFor(key), { force: true });
+    }
+}
+
+export function createMediaStorage(env = process.env) {
+    const backend = env.MEDIA_STORAGE || 'local';
+    if (backend === 'local') {
+        return new LocalDiskStorage(env.MEDIA_DIR || './media');
+    }
+    throw new Error(`Unknown MEDIA_STORAGE backend: ${backend}`);
+}
@@ -0,0 +1,96 @@
+// Prometheus metrics in the text exposition format (GET /metrics). Counters
+// and histograms keep a series per label combination; gauges are read when
+// the metrics are rendered.
+
+// Request latency buckets, in seconds
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function header(metric, type) {
+    return `# HELP ${metric.name} ${metric.help}\n# TYPE ${metric.name} ${type}\n`;
+}
+
+export class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelText(labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+
+    render() {
+        let text = header(this, 'counter');
+        for (const [labels, value] of this.series) {
+            text += `${this.name}${labels} ${value}\n`;
+        }
+        return text;
+    }
+}
+
+export class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = JSON.stringify(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        let text = header(this, 'histogram');
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                text += `${this.name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}\n`;
+            });
+            text += `${this.name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}\n`;
+            text += `${this.name}_sum${labelText(labels)} ${sum}\n`;
+            text += `${this.name}_count${labelText(labels)} ${count}\n`;
+        }
+        return text;
+    }
+}
+
+// `collect()` returns [{ labels, value }]
+export class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        let text = header(this, 'gauge');
+        for (const { labels = {}, value } of this.collect()) {
+            text += `${this.name}${labelText(labels)} ${value}\n`;
+        }
+        return text;
+    }
+}
+
+export function renderMetrics(metrics) {
+    return metrics.map(metric => metric.render()).join('');
+}
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Versioned schema migrations. Files in migrations/ are named
+// "<version>_<name>.sql" or "<version>_<name>.js" and applied in version order,
+// each in its own transaction. A .js migration exports `up(client, { log })`.
+//
+// Applied versions are recorded in schema_migrations. The whole run holds an
+// advisory lock, so server instances starting together apply each migration once.
+//
+// Once released, a migration may have been applied somewhere: schema changes
+// go in a new migration, never into an existing file. The only rewrites allowed
+// are ones that keep what the migration does (such as copying in lib code it
+// used to import); the released file's checksum then goes in
+// SUPERSEDED_CHECKSUMS, so databases that applied it don't see it as modified.
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// version -> checksums of earlier, equivalent files
+export const SUPERSEDED_CHECKSUMS = {
+    // 002, 003 and 007 imported lib/changeFeed.js, lib/pins.js and lib/media*.js
+    2: ['8b2257094fa17b772ba6a4cf2898835af22af3397f7be4617ca3489dae330891'],
+    3: ['c436402ced5e8ecea50b4d6b11c6c685ecee2de5c90e25ab152c4ddc3ece73ca'],
+    7: ['fd700ff566da55196082fe8740cee29778e50219da4ebd4646674c4ea73566b5']
+};
+const MIGRATION_LOCK = 'timekiosk_schema_migrations';
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = [];
+    for (const file of await fs.readdir(dir)) {
+        const match = MIGRATION_FILE.exec(file);
+        if (!match) continue;
+
+        const source = await fs.readFile(path.join(dir, file), 'utf8');
+        migrations.push({
+            version: parseInt(match[1], 10),
+            name: match[2],
+            file: path.join(dir, file),
+            type: match[3],
+            source,
+            checksum: crypto.createHash('sha256').update(source).digest('hex')
+        });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// Every known and applied migration with its state:
+//   applied  - recorded and unchanged
+//   pending  - not applied yet
+//   modified - applied, but the file changed since (other than a superseded rewrite)
+//   missing  - applied, but no longer on disk (database is newer than this code)
+export async function migrationStatus(db, { dir = MIGRATIONS_DIR, superseded = SUPERSEDED_CHECKSUMS } = {}) {
+    await ensureMigrationsTable(db);
+    const migrations = await loadMigrations(dir);
+    const result = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+
+    const status = migrations.map(m => {
+        const row = applied.get(m.version);
+        let state = 'pending';
+        if (row) state = row.checksum === m.checksum || (superseded[m.version] || []).includes(row.checksum) ? 'applied' : 'modified';
+        return { version: m.version, name: m.name, state, appliedAt: row ? row.applied_at : null };
+    });
+
+    const known = new Set(migrations.map(m => m.version));
+    for (const row of result.rows) {
+        if (!known.has(row.version)) {
+            status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+        }
+    }
+    return status.sort((a, b) => a.version - b.version);
+}
+
+async function applyMigration(client, migration, log) {
+    if (migration.type === 'sql') {
+        await client.query(migration.source);
+    } else {
+        const migrationModule = await import(pathToFileURL(migration.file).href);
+        if (typeof migrationModule.up !== 'function') {
+            throw new Error(`${path.basename(migration.file)} does not export up(client)`);
+        }
+        await migrationModule.up(client, { log });
+    }
+}
+
+// Apply pending migrations in order. Stops at, and throws, the first failure;
+// the failed migration is rolled back and later ones are not attempted.
+// Returns the migrations that were applied. `log` takes info() and warn()
+// calls, e.g. the server's structured logger.
+export async function migrate(pool, { dir = MIGRATIONS_DIR, log = console, superseded = SUPERSEDED_CHECKSUMS } = {}) {
+    const migrations = await loadMigrations(dir);
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK]);
+        await ensureMigrationsTable(client);
+
+        // Record the current checksum of rewritten migrations
+        for (const migration of migrations.filter(m => superseded[m.version])) {
+            await client.query(
+                'UPDATE schema_migrations SET checksum = $2 WHERE version = $1 AND checksum = ANY($3::text[])',
+                [migration.version, migration.checksum, superseded[migration.version]]
+            );
+        }
+
+        const result = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(result.rows.map(row => row.version));
+        const pending = migrations.filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+            log.info(`Applying migration ${label}...`);
+            try {
+                await client.query('BEGIN');
+                await applyMigration(client, migration, log);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                err.message = `Migration ${label} failed: ${err.message}`;
+                throw err;
+            }
+        }
+        return pending;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK]).catch(() => {});
+        client.release();
+    }
+}
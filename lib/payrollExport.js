@@ -0,0 +1,171 @@
+import { csvLine } from './csv.js';
+
+// Payroll export formatters. Each formatter turns a timesheet report (see
+// timesheets.js) into the lines of a file a payroll system can import.
+//
+// A formatter has a `defaultMapping`; the stored mapping for the format is
+// merged over it. Mappings share these fields:
+//   employeeExternalIds - { [employeeId]: id in the payroll system }
+//   includeTemps        - temp workers are paid through their agency, so
+//                         they're left out unless this is true
+//
+// Output must only depend on the report, mapping and period so a locked period
+// always exports the same bytes: no generation timestamps.
+
+const CRLF = '\r\n';
+
+// IIF is tab-separated; tabs and line breaks inside a field would break the row
+function iifField(value) {
+    return value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function iifLine(fields) {
+    return fields.map(iifField).join('\t') + CRLF;
+}
+
+function hours(value) {
+    return value.toFixed(2);
+}
+
+// 7.5 -> "7:30"
+function duration(value) {
+    const minutes = Math.round(value * 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD -> MM/DD/YYYY
+function usDate(day) {
+    const [y, m, d] = day.split('-');
+    return `${m}/${d}/${y}`;
+}
+
+function externalId(employee, mapping, fallback = employee.employeeId) {
+    return (mapping.employeeExternalIds && mapping.employeeExternalIds[employee.employeeId]) || fallback;
+}
+
+export function payableEmployees(report, mapping) {
+    return report.employees
+        .filter(employee => mapping.includeTemps || !employee.isTemp)
+        .sort((a, b) => a.employeeId.localeCompare(b.employeeId));
+}
+
+const csv = {
+    description: 'Generic CSV, one row per employee and earning code',
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    defaultMapping: {
+        employeeExternalIds: {},
+        includeTemps: false,
+        earningCodes: { regular: 'REG', overtime: 'OT' }
+    },
+    *lines(report, mapping, period) {
+        yield csvLine(['Employee ID', 'External ID', 'Name', 'Period Start', 'Period End', 'Earning Code', 'Hours']);
+        for (const employee of payableEmployees(report, mapping)) {
+            const earnings = [
+                [mapping.earningCodes.regular, employee.totals.regularHours],
+                [mapping.earningCodes.overtime, employee.totals.overtimeHours]
+            ];
+            for (const [code, amount] of earnings) {
+                if (amount <= 0) continue;
+                yield csvLine([employee.employeeId, externalId(employee, mapping), employee.name,
+                    period.from, period.to, code, hours(amount)]);
+            }
+        }
+    }
+};
+
+// QuickBooks Desktop timer import: one TIMEACT row per employee, day and
+// payroll item. QuickBooks matches employees by name, so the external ID
+// defaults to the employee's name.
+const iif = {
+    description: 'QuickBooks IIF time activities',
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'iif',
+    defaultMapping: {
+        employeeExternalIds: {},
+        includeTemps: false,
+        earningCodes: { regular: 'Hourly Regular', overtime: 'Hourly Overtime' },
+        companyName: ''
+    },
+    *lines(report, mapping) {
+        yield iifLine(['!TIMERHDR', 'VER', 'REL', 'COMPANYNAME', 'IMPORTEDBEFORE', 'FROMTIMER']);
+        yield iifLine(['TIMERHDR', '8', '0', mapping.companyName, 'N', 'Y']);
+        yield iifLine(['!TIMEACT', 'DATE', 'JOB', 'EMP', 'ITEM', 'PITEM', 'DURATION', 'PROJ', 'NOTE', 'XFERTOPAYROLL', 'BILLINGSTATUS']);
+        for (const employee of payableEmployees(report, mapping)) {
+            const name = externalId(employee, mapping, employee.name);
+            for (const day of employee.days) {
+                const earnings = [
+                    [mapping.earningCodes.regular, day.regularHours],
+                    [mapping.earningCodes.overtime, day.overtimeHours]
+                ];
+                for (const [code, amount] of earnings) {
+                    if (amount <= 0) continue;
+                    yield iifLine(['TIMEACT', usDate(day.date), '', name, '', code, duration(amount), '', '', 'Y', '0']);
+                }
+            }
+        }
+    }
+};
+
+// ADP Employee Pay Input (EPI) batch: a fixed set of columns, one row per
+// employee. Overtime goes in its own column, so there are no earning codes.
+const adp = {
+    description: 'ADP EPI pay input batch',
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    defaultMapping: {
+        employeeExternalIds: {},
+        includeTemps: false,
+        companyCode: '',
+        batchId: ''
+    },
+    *lines(report, mapping) {
+        yield csvLine(['Co Code', 'Batch ID', 'File #', 'Reg Hours', 'O/T Hours']);
+        for (const employee of payableEmployees(report, mapping)) {
+            const { regularHours, overtimeHours } = employee.totals;
+            if (regularHours <= 0 && overtimeHours <= 0) continue;
+            yield csvLine([mapping.companyCode, mapping.batchId, externalId(employee, mapping),
+                hours(regularHours), hours(overtimeHours)]);
+        }
+    }
+};
+
+export const FORMATTERS = { csv, iif, adp };
+
+// Stored mapping merged over the format's defaults
+export function resolveMapping(format, stored = {}) {
+    const defaults = FORMATTERS[format].defaultMapping;
+    const mapping = { ...defaults, ...stored };
+    if (defaults.earningCodes) {
+        mapping.earningCodes = { ...defaults.earningCodes, ...(stored.earningCodes || {}) };
+    }
+    return mapping;
+}
+
+// Returns an error message, or null if `mapping` only has known fields of the right shape
+export function validateMapping(format, mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return 'Mapping must be an object';
+    }
+
+    const defaults = FORMATTERS[format].defaultMapping;
+    for (const [key, value] of Object.entries(mapping)) {
+        if (!(key in defaults)) {
+            return `Unknown mapping field for ${format}: ${key}`;
+        }
+        if (key === 'includeTemps') {
+            if (typeof value !== 'boolean') return 'includeTemps must be true or false';
+        } else if (key === 'employeeExternalIds' || key === 'earningCodes') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)
+                || !Object.values(value).every(v => typeof v === 'string')) {
+                return `${key} must map to strings`;
+            }
+            if (key === 'earningCodes' && Object.keys(value).some(k => !(k in defaults.earningCodes))) {
+                return `earningCodes only has ${Object.keys(defaults.earningCodes).join(', ')}`;
+            }
+        } else if (typeof value !== 'string') {
+            return `${key} must be a string`;
+        }
+    }
+    return null;
+}
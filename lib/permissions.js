@@ -0,0 +1,57 @@
+// Role-based access to the synced collections.
+//
+//   owner   - everything, including devices and admin accounts
+//   payroll - reads everything, edits employees and time records
+//   manager - like payroll, but only for employees and time records in the
+//             locations/departments they are assigned to
+//   kiosk   - reads everything, records punches (enrolled devices act as kiosk)
+//
+// Workflow collections are read-only here for every role; they only change
+// through their own routes (e.g. POST /correction_requests/:id/approve).
+
+export const ROLES = ['owner', 'payroll', 'manager', 'kiosk'];
+
+const ALL = '*';
+
+const PERMISSIONS = {
+    owner: { read: ALL, write: ALL, delete: ALL },
+    payroll: { read: ALL, write: ['employees', 'timerecords'], delete: ['timerecords'] },
+    manager: { read: ALL, write: ['employees', 'timerecords'], delete: ['timerecords'] },
+    kiosk: { read: ALL, write: ['timerecords'], delete: [] }
+};
+
+const WORKFLOW_COLLECTIONS = ['correction_requests'];
+
+// Collections a manager only sees within their assigned locations/departments
+export const SCOPED_COLLECTIONS = ['employees', 'timerecords', 'correction_requests'];
+
+export function can(role, action, collection) {
+    if (action !== 'read' && WORKFLOW_COLLECTIONS.includes(collection)) return false;
+    const allowed = PERMISSIONS[role] && PERMISSIONS[role][action];
+    if (!allowed) return false;
+    return allowed === ALL || allowed.includes(collection);
+}
+
+export function isScopedRole(role) {
+    return role === 'manager';
+}
+
+// SQL condition restricting `collection` rows to the given locations/departments.
+// Parameters are numbered from `firstParam`. Returns null for unscoped collections.
+// A time record (or correction request) belongs to a department through its employee.
+export function scopeCondition(collection, { locationIds = [], departmentIds = [] }, firstParam = 1) {
+    const locParam = `$${firstParam}`;
+    const depParam = `$${firstParam + 1}`;
+    let sql;
+
+    if (collection === 'employees') {
+        sql = `COALESCE(location_id = ANY(${locParam}::text[]) OR department_id = ANY(${depParam}::text[]), false)`;
+    } else if (collection === 'timerecords' || collection === 'correction_requests') {
+        sql = `COALESCE(location_id = ANY(${locParam}::text[])
+               OR employee_id IN (SELECT id FROM employees WHERE department_id = ANY(${depParam}::text[])), false)`;
+    } else {
+        return null;
+    }
+
+    return { sql, values: [locationIds, departmentIds] };
+}
@@ -0,0 +1,62 @@
+// Brute-force protection for PIN checks. Failures are counted per subject
+// (an employee, a device, or a client IP) in the pin_lockouts table so every
+// server instance sees the same counts. Once a subject reaches `maxAttempts`
+// it is locked out, and each further failure doubles the lockout.
+
+export const DEFAULT_LOCKOUT_POLICY = {
+    maxAttempts: 5,
+    baseLockoutSeconds: 30,
+    maxLockoutSeconds: 60 * 60,
+    // Failures older than this no longer count
+    failureWindowSeconds: 15 * 60
+};
+
+export function lockoutSeconds(failures, policy = DEFAULT_LOCKOUT_POLICY) {
+    if (failures < policy.maxAttempts) return 0;
+    const seconds = policy.baseLockoutSeconds * 2 ** (failures - policy.maxAttempts);
+    return Math.min(seconds, policy.maxLockoutSeconds);
+}
+
+// Longest remaining lockout across the subjects, in seconds (0 if none)
+export async function getLockout(db, subjects) {
+    const result = await db.query(
+        `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - CURRENT_TIMESTAMP))::int AS remaining
+         FROM pin_lockouts
+         WHERE subject = ANY($1::text[]) AND locked_until > CURRENT_TIMESTAMP`,
+        [subjects]
+    );
+    return result.rows[0].remaining || 0;
+}
+
+// Count a failure against each subject, returning the longest resulting lockout
+export async function recordFailure(db, subjects, policy = DEFAULT_LOCKOUT_POLICY) {
+    let longest = 0;
+    for (const subject of subjects) {
+        const result = await db.query(
+            `INSERT INTO pin_lockouts (subject, failures, updated_at)
+             VALUES ($1, 1, CURRENT_TIMESTAMP)
+             ON CONFLICT (subject) DO UPDATE SET
+             failures = CASE
+                 WHEN pin_lockouts.updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2) THEN 1
+                 ELSE pin_lockouts.failures + 1
+             END,
+             updated_at = CURRENT_TIMESTAMP
+             RETURNING failures`,
+            [subject, policy.failureWindowSeconds]
+        );
+
+        const seconds = lockoutSeconds(result.rows[0].failures, policy);
+        if (seconds > 0) {
+            await db.query(
+                `UPDATE pin_lockouts SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => $2) WHERE subject = $1`,
+                [subject, seconds]
+            );
+            longest = Math.max(longest, seconds);
+        }
+    }
+    return longest;
+}
+
+export async function clearFailures(db, subjects) {
+    await db.query('DELETE FROM pin_lockouts WHERE subject = ANY($1::text[])', [subjects]);
+}
@@ -0,0 +1,47 @@
+import { hashSecret, keyedHash } from './credentials.js';
+
+// Employee PINs are stored as a salted scrypt hash for verification plus a keyed
+// fingerprint, so uniqueness can be enforced and a PIN looked up without a
+// plaintext copy. The key comes from PIN_SECRET (falls back to SERVER_SECRET).
+
+export const PIN_MAX_LENGTH = 12;
+
+// Read when used, so a .env loaded after import still applies
+function pinMinLength() {
+    return parseInt(process.env.PIN_MIN_LENGTH, 10) || 4;
+}
+
+export function getPinSecret() {
+    const secret = process.env.PIN_SECRET || process.env.SERVER_SECRET;
+    if (!secret) {
+        throw new Error('PIN_SECRET (or SERVER_SECRET) must be set to store and verify employee PINs');
+    }
+    return secret;
+}
+
+export function pinFingerprint(pin) {
+    return keyedHash(pin, getPinSecret(), 'pin-fingerprint');
+}
+
+// Validate a new PIN, returning an error message or null
+export function validatePin(pin) {
+    if (typeof pin !== 'string' || !/^\d+$/.test(pin)) {
+        return 'PIN must be a string of digits';
+    }
+    const minLength = pinMinLength();
+    if (pin.length < minLength || pin.length > PIN_MAX_LENGTH) {
+        return `PIN must be ${minLength}-${PIN_MAX_LENGTH} digits`;
+    }
+    return null;
+}
+
+// Store a new PIN for an employee. Throws a unique violation (23505) if
+// another employee already uses it.
+export async function setEmployeePin(db, employeeId, pin) {
+    const result = await db.query(
+        `UPDATE employees SET pin = NULL, pin_hash = $2, pin_fingerprint = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [employeeId, await hashSecret(pin), pinFingerprint(pin)]
+    );
+    return result.rows[0] || null;
+}
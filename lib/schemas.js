@@ -0,0 +1,314 @@
+import { mediaUrl } from './media.js';
+import { parseSettingsId, isScopedSettingsId } from './settings.js';
+import { isValidTimeZone } from './timezones.js';
+
+// Declarative schemas for the synced collections. Each schema drives input
+// validation, the columns written by inserts/upserts and the API shape
+// returned by dbToApi, so a new field is declared once, here.
+//
+// Field options:
+//   column     - database column; fields without one are output-only
+//   type       - 'string', 'boolean', 'integer', 'timestamp', 'breaks' or
+//                'timezone' (an IANA name such as America/Chicago)
+//   required   - must be present and not null
+//   default    - stored when the field is missing or null
+//   enum, min, max, maxLength
+//   references - collection the value must be the id of
+//   readOnly   - returned by the API, never written from input
+//   output     - computes the API value from the row instead of `column`
+//
+// Schema options:
+//   validate   - doc => errors, run once the fields are valid
+//   inherits   - id => true if missing fields stay null (inherited) rather
+//                than taking their defaults
+//   checkReferences - async (db, doc) => errors, for references `references` can't express
+//
+// Fields that aren't in the schema, and readOnly ones, are ignored on input:
+// clients send back whole documents, including RxDB metadata.
+
+const TIMEOUT_SECONDS = { type: 'integer', min: 1, max: 3600 };
+
+export const SCHEMAS = {
+    employees: {
+        fields: {
+            id: { column: 'id', type: 'string', required: true, maxLength: 100 },
+            name: { column: 'name', type: 'string', required: true, maxLength: 255 },
+            // PINs are never returned, and only change through PUT /employees/:id/pin
+            hasPin: { output: row => Boolean(row.pin_hash) },
+            // Photos are uploaded to POST /media and referenced by id. Older
+            // records may still carry an external image_url, returned as is.
+            imageId: { column: 'image_id', type: 'string', maxLength: 100, references: 'media' },
+            imageUrl: { output: row => row.image_id ? mediaUrl(row.image_id) : row.image_url },
+            archived: { column: 'archived', type: 'boolean', default: false },
+            autoDeductLunch: { column: 'auto_deduct_lunch', type: 'boolean', default: false },
+            locationId: { column: 'location_id', type: 'string', maxLength: 100, references: 'locations' },
+            departmentId: { column: 'department_id', type: 'string', maxLength: 100, references: 'departments' },
+            isTemp: { column: 'is_temp', type: 'boolean', default: false },
+            tempAgency: { column: 'temp_agency', type: 'string', maxLength: 255 },
+            updatedAt: { column: 'updated_at', readOnly: true }
+        }
+    },
+    timerecords: {
+        fields: {
+            id: { column: 'id', type: 'string', required: true, maxLength: 100 },
+            employeeId: { column: 'employee_id', type: 'string', required: true, maxLength: 100 },
+            locationId: { column: 'location_id', type: 'string', maxLength: 100, references: 'locations' },
+            clockIn: { column: 'clock_in', type: 'timestamp', required: true },
+            clockOut: { column: 'clock_out', type: 'timestamp' },
+            breaks: { column: 'breaks', type: 'breaks', default: [] },
+            deviceId: { column: 'device_id', readOnly: true },
+            // Set when an approved correction request changed the record
+            correctionRequestId: { column: 'correction_request_id', readOnly: true },
+            updatedAt: { column: 'updated_at', readOnly: true }
+        },
+        validate: validateShift
+    },
+    locations: {
+        fields: {
+            id: { column: 'id', type: 'string', required: true, maxLength: 100 },
+            name: { column: 'name', type: 'string', required: true, maxLength: 255 },
+            abbreviation: { column: 'abbreviation', type: 'string', maxLength: 50 },
+            // Local time of the location's kiosks; null uses DEFAULT_TIMEZONE
+            timezone: { column: 'timezone', type: 'timezone' },
+            updatedAt: { column: 'updated_at', readOnly: true }
+        }
+    },
+    departments: {
+        fields: {
+            id: { column: 'id', type: 'string', required: true, maxLength: 100 },
+            name: { column: 'name', type: 'string', required: true, maxLength: 255 },
+            updatedAt: { column: 'updated_at', readOnly: true }
+        }
+    },
+    // Written only by the correction request routes, so every field is read-only
+    correction_requests: {
+        fields: {
+            id: { column: 'id', readOnly: true },
+            type: { column: 'type', readOnly: true },
+            employeeId: { column: 'employee_id', readOnly: true },
+            locationId: { column: 'location_id', readOnly: true },
+            timerecordId: { column: 'timerecord_id', readOnly: true },
+            changes: { column: 'changes', readOnly: true },
+            reason: { column: 'reason', readOnly: true },
+            status: { column: 'status', readOnly: true },
+            deviceId: { column: 'device_id', readOnly: true },
+            appliedTimerecordId: { column: 'applied_timerecord_id', readOnly: true },
+            decisionNote: { column: 'decision_note', readOnly: true },
+            decidedAt: { column: 'decided_at', readOnly: true },
+            decidedByType: { column: 'decided_by_type', readOnly: true },
+            decidedById: { column: 'decided_by_id', readOnly: true },
+            createdAt: { column: 'created_at', readOnly: true },
+            updatedAt: { column: 'updated_at', readOnly: true }
+        }
+    },
+    settings: {
+        fields: {
+            id: { column: 'id', type: 'string', required: true, maxLength: 100 },
+            logoId: { column: 'logo_id', type: 'string', maxLength: 100, references: 'media' },
+            logoUrl: { output: row => row.logo_id ? mediaUrl(row.logo_id) : row.logo_url },
+            weekStartDay: { column: 'week_start_day', type: 'integer', min: 0, max: 6, default: 0 },
+            remoteDbUrl: { column: 'remote_db_url', type: 'string' },
+            enableScreenSaver: { column: 'enable_screen_saver', type: 'boolean', default: true },
+            kioskLocationId: { column: 'kiosk_location_id', type: 'string', maxLength: 100, references: 'locations' },
+            clockFormat: { column: 'clock_format', type: 'string', enum: ['12', '24'], default: '12' },
+            allowEmployeePhotoUpload: { column: 'allow_employee_photo_upload', type: 'boolean', default: false },
+            timeoutStatus: { column: 'timeout_status', ...TIMEOUT_SECONDS, default: 7 },
+            timeoutTimecard: { column: 'timeout_timecard', ...TIMEOUT_SECONDS, default: 15 },
+            timeoutConfirmation: { column: 'timeout_confirmation', ...TIMEOUT_SECONDS, default: 7 },
+            timeoutAdminDashboard: { column: 'timeout_admin_dashboard', ...TIMEOUT_SECONDS, default: 60 },
+            timeoutAdminLogin: { column: 'timeout_admin_login', ...TIMEOUT_SECONDS, default: 10 },
+            updatedAt: { column: 'updated_at', readOnly: true }
+        },
+        inherits: isScopedSettingsId,
+        checkReferences: checkSettingsScope
+    }
+};
+
+// A location or device settings document must belong to an existing one
+async function checkSettingsScope(db, doc) {
+    const { scope, scopeId } = parseSettingsId(doc.id);
+    const table = { location: 'locations', device: 'devices' }[scope];
+    if (!table) return [];
+    const result = await db.query(`SELECT 1 FROM ${table} WHERE id = $1`, [scopeId]);
+    return result.rows.length ? [] : [{ field: 'id', message: `refers to a ${scope} that doesn't exist` }];
+}
+
+function isWritable(field) {
+    return Boolean(field.column) && !field.readOnly;
+}
+
+// ISO 8601 date-time. The offset is optional, as kiosks send local wall-clock
+// times. Date.parse alone also takes strings such as "1" or "May 3".
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+function isTimestamp(value) {
+    return typeof value === 'string' && ISO_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Breaks are [{ start, end }]; older clients send startTime/endTime
+function breakStart(b) {
+    return b.start ?? b.startTime;
+}
+
+function breakEnd(b) {
+    return b.end ?? b.endTime;
+}
+
+function checkType(field, value) {
+    switch (field.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (field.maxLength && value.length > field.maxLength) return `must be at most ${field.maxLength} characters`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'must be true or false';
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be an integer';
+            if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+            if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+            break;
+        case 'timestamp':
+            if (!isTimestamp(value)) return 'must be a date-time string';
+            break;
+        case 'timezone':
+            if (!isValidTimeZone(value)) return 'must be an IANA time zone, e.g. America/Chicago';
+            break;
+        case 'breaks':
+            if (!Array.isArray(value)) return 'must be an array';
+            for (const [i, b] of value.entries()) {
+                if (!b || typeof b !== 'object' || !isTimestamp(breakStart(b))) return `[${i}] needs a start date-time`;
+                const end = breakEnd(b);
+                if (end !== undefined && end !== null) {
+                    if (!isTimestamp(end)) return `[${i}] end must be a date-time string`;
+                    if (Date.parse(end) < Date.parse(breakStart(b))) return `[${i}] ends before it starts`;
+                }
+            }
+            break;
+    }
+    if (field.enum && !field.enum.includes(value)) {
+        return `must be one of: ${field.enum.join(', ')}`;
+    }
+    return null;
+}
+
+// Clock-out after clock-in, and every break within the shift. A break may be
+// left open (no end); those are for the anomaly checks to report.
+function validateShift(doc) {
+    const errors = [];
+    const clockIn = Date.parse(doc.clockIn);
+    const clockOut = doc.clockOut ? Date.parse(doc.clockOut) : null;
+
+    if (clockOut !== null && clockOut < clockIn) {
+        errors.push({ field: 'clockOut', message: 'must not be before clockIn' });
+    }
+    for (const [i, b] of doc.breaks.entries()) {
+        const start = Date.parse(breakStart(b));
+        const end = breakEnd(b) ? Date.parse(breakEnd(b)) : null;
+        if (start < clockIn || (clockOut !== null && start > clockOut) || (end !== null && clockOut !== null && end > clockOut)) {
+            errors.push({ field: `breaks[${i}]`, message: 'must be within the shift' });
+        }
+    }
+    return errors;
+}
+
+// Check `input` against the collection's schema. `id` is the document id from
+// the URL, if any. Returns { doc, errors }: doc holds every writable field,
+// with defaults applied unless the schema inherits them; errors is a list of
+// { field, message }.
+export function validateDocument(collection, input, { id } = {}) {
+    const schema = SCHEMAS[collection];
+    const errors = [];
+    const doc = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { doc, errors: [{ field: '', message: 'must be an object' }] };
+    }
+    if (id !== undefined && input.id !== undefined && input.id !== id) {
+        errors.push({ field: 'id', message: 'must match the document id in the URL' });
+    }
+
+    const inherits = Boolean(schema.inherits) && schema.inherits(id !== undefined ? id : input.id);
+    for (const [name, field] of Object.entries(schema.fields)) {
+        if (!isWritable(field)) continue;
+
+        let value = name === 'id' && id !== undefined ? id : input[name];
+        if (value === undefined || value === null) {
+            if (field.required) {
+                errors.push({ field: name, message: 'is required' });
+                continue;
+            }
+            value = field.default !== undefined && !inherits ? field.default : null;
+            doc[name] = value;
+            continue;
+        }
+
+        const message = checkType(field, value);
+        if (message) {
+            errors.push({ field: name, message });
+        } else {
+            doc[name] = value;
+        }
+    }
+
+    if (errors.length === 0 && schema.validate) {
+        errors.push(...schema.validate(doc));
+    }
+    return { doc, errors };
+}
+
+// Referenced locations/departments must exist. Deleted ones still count, so
+// kiosks can sync punches recorded before a location was removed.
+export async function checkReferences(db, collection, doc) {
+    const errors = [];
+    for (const [name, field] of Object.entries(SCHEMAS[collection].fields)) {
+        if (!field.references || doc[name] === null || doc[name] === undefined) continue;
+        const result = await db.query(`SELECT 1 FROM ${field.references} WHERE id = $1`, [doc[name]]);
+        if (result.rows.length === 0) {
+            errors.push({ field: name, message: `refers to a ${field.references.replace(/s$/, '')} that doesn't exist` });
+        }
+    }
+    if (SCHEMAS[collection].checkReferences) {
+        errors.push(...await SCHEMAS[collection].checkReferences(db, doc));
+    }
+    return errors;
+}
+
+// API representation of a stored row
+export function rowToApi(collection, row) {
+    const api = {};
+    for (const [name, field] of Object.entries(SCHEMAS[collection].fields)) {
+        if (field.output) {
+            api[name] = field.output(row);
+        } else if (field.type === 'breaks') {
+            api[name] = row[field.column] || [];
+        } else {
+            api[name] = row[field.column];
+        }
+    }
+    return api;
+}
+
+// INSERT (or upsert on id) of a validated document. `insertOnly` adds columns
+// set on creation but kept on update, e.g. { device_id: 'DEV-...' }; `extra`
+// adds server-set columns written either way. An upsert onto a tombstone
+// brings the document back.
+export function writeQuery(collection, doc, { upsert = true, insertOnly = {}, extra = {} } = {}) {
+    const fields = Object.entries(SCHEMAS[collection].fields).filter(([, field]) => isWritable(field));
+    const columns = fields.map(([, field]) => field.column);
+    const values = fields.map(([name, field]) => field.type === 'breaks' ? JSON.stringify(doc[name]) : doc[name]);
+
+    for (const [column, value] of [...Object.entries(extra), ...Object.entries(insertOnly)]) {
+        columns.push(column);
+        values.push(value);
+    }
+
+    let text = `INSERT INTO ${collection} (${columns.join(', ')})
+                VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`;
+    if (upsert) {
+        const updates = [...fields.filter(([name]) => name !== 'id').map(([, field]) => field.column), ...Object.keys(extra)]
+            .map(column => `${column} = EXCLUDED.${column}`);
+        text += ` ON CONFLICT (id) DO UPDATE SET ${[...updates, '_deleted = false', 'deleted_at = NULL', 'updated_at = CURRENT_TIMESTAMP'].join(', ')}`;
+    }
+    return { text: `${text} RETURNING *`, values };
+}
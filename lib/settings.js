@@ -0,0 +1,60 @@
+// Scoped settings. Settings documents are found by id:
+//   GLOBAL_SETTINGS      global, the row every kiosk used to share
+//   location:<location>  overrides for the kiosks at one location
+//   device:<device>      overrides for one kiosk
+// In location and device documents a null field inherits from the next wider
+// scope; effective settings take each field from the narrowest scope that
+// sets it: device, then location, then global, then the schema default.
+// Documents with any other id predate scopes and play no part in this.
+
+export const GLOBAL_SETTINGS_ID = 'GLOBAL_SETTINGS';
+export const SETTINGS_SCOPES = ['device', 'location', 'global'];
+
+export function settingsId(scope, scopeId) {
+    return scope === 'global' ? GLOBAL_SETTINGS_ID : `${scope}:${scopeId}`;
+}
+
+// { scope, scopeId } of a settings id; scope is null for unscoped documents
+export function parseSettingsId(id) {
+    if (id === GLOBAL_SETTINGS_ID) return { scope: 'global', scopeId: null };
+    const match = /^(location|device):(.+)$/.exec(id || '');
+    return match ? { scope: match[1], scopeId: match[2] } : { scope: null, scopeId: null };
+}
+
+export function isScopedSettingsId(id) {
+    const { scope } = parseSettingsId(id);
+    return scope === 'location' || scope === 'device';
+}
+
+// Merge settings rows field by field. `layers` is [{ scope, row }] from the
+// narrowest scope to the widest (missing rows may be null); `fields` is the
+// settings schema. Returns { row, sources }: a settings row holding the
+// effective values, and the scope each field came from ('default' if none).
+export function mergeSettings(layers, fields) {
+    const row = {};
+    const sources = {};
+    let updatedAt = null;
+
+    for (const { row: layer } of layers) {
+        if (layer && layer.updated_at && (!updatedAt || layer.updated_at > updatedAt)) {
+            updatedAt = layer.updated_at;
+        }
+    }
+
+    for (const [name, field] of Object.entries(fields)) {
+        if (!field.column || field.readOnly || name === 'id') continue;
+        const layer = layers.find(({ row: candidate }) => candidate && candidate[field.column] !== null && candidate[field.column] !== undefined);
+        row[field.column] = layer ? layer.row[field.column] : field.default ?? null;
+        sources[name] = layer ? layer.scope : 'default';
+    }
+
+    // A logo is an uploaded image or an external URL (logo_url); both come
+    // from the same scope
+    const logo = layers.find(({ row: candidate }) => candidate && (candidate.logo_id || candidate.logo_url));
+    row.logo_id = logo ? logo.row.logo_id : null;
+    row.logo_url = logo ? logo.row.logo_url : null;
+    sources.logoId = logo ? logo.scope : 'default';
+
+    row.updated_at = updatedAt;
+    return { row, sources };
+}
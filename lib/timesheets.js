@@ -0,0 +1,253 @@
+import { localDay } from './timezones.js';
+
+// Timesheet calculations: turns raw time records into per-employee daily and
+// weekly totals with break and lunch deductions and a regular/overtime split.
+//
+// A shift counts toward the day (and week) it was clocked in on, in its
+// location's local time. Times are instants, so a shift across a DST change
+// counts the hours actually worked. Records that can't be trusted are not
+// counted; they are returned as flagged rows instead:
+//   open_punch       - no clock-out yet
+//   invalid_duration - clock-out at or before clock-in
+//   overlap          - overlaps another record of the same employee
+
+export const DEFAULT_TIMESHEET_POLICY = {
+    // null disables daily overtime
+    dailyOvertimeHours: null,
+    weeklyOvertimeHours: 40,
+    lunchDeductionMinutes: 30,
+    // Shifts at least this long get the lunch deduction (auto_deduct_lunch employees)
+    lunchDeductionAfterHours: 6
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+
+function toHours(minutes) {
+    return Math.round((minutes / 60) * 100) / 100;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// Calendar date as YYYY-MM-DD in `timeZone`, or in server-local time
+export function dayKey(date, timeZone) {
+    if (timeZone) return localDay(date, timeZone);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// First day of the week containing `day` (YYYY-MM-DD), weeks starting on `weekStartDay` (0 = Sunday)
+export function weekStartKey(day, weekStartDay = 0) {
+    const [y, m, d] = day.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    const offset = (date.getUTCDay() - weekStartDay + 7) % 7;
+    date.setUTCDate(date.getUTCDate() - offset);
+    return date.toISOString().slice(0, 10);
+}
+
+// Minutes of the recorded breaks that fall inside the shift. Breaks still in
+// progress (no end) aren't counted.
+export function breakMinutes(breaks, clockIn, clockOut) {
+    let total = 0;
+    for (const b of Array.isArray(breaks) ? breaks : []) {
+        const start = new Date(b.start ?? b.startTime);
+        const end = new Date(b.end ?? b.endTime);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) continue;
+
+        const from = Math.max(start.getTime(), clockIn.getTime());
+        const to = Math.min(end.getTime(), clockOut.getTime());
+        if (to > from) total += (to - from) / MS_PER_MINUTE;
+    }
+    return total;
+}
+
+// Worked minutes of one closed shift, after breaks and lunch deduction. The
+// lunch deduction only tops up recorded breaks, so a logged lunch isn't
+// deducted twice.
+export function shiftMinutes(record, employee, policy = DEFAULT_TIMESHEET_POLICY) {
+    const elapsed = (record.clockOut - record.clockIn) / MS_PER_MINUTE;
+    const breaks = breakMinutes(record.breaks, record.clockIn, record.clockOut);
+
+    let lunch = 0;
+    if (employee && employee.autoDeductLunch && elapsed >= policy.lunchDeductionAfterHours * 60) {
+        lunch = Math.max(0, policy.lunchDeductionMinutes - breaks);
+    }
+
+    return {
+        elapsed,
+        breaks,
+        lunch,
+        worked: Math.max(0, elapsed - breaks - lunch)
+    };
+}
+
+// Split each day's worked minutes into regular and overtime. Daily overtime is
+// taken first; only the remaining regular minutes count toward the weekly
+// threshold, so no minute is paid as overtime twice.
+export function splitOvertime(days, policy = DEFAULT_TIMESHEET_POLICY) {
+    const dailyLimit = policy.dailyOvertimeHours == null ? Infinity : policy.dailyOvertimeHours * 60;
+    const weeklyLimit = policy.weeklyOvertimeHours == null ? Infinity : policy.weeklyOvertimeHours * 60;
+
+    let weekRegular = 0;
+    return days.map(({ worked }) => {
+        const dailyOvertime = Math.max(0, worked - dailyLimit);
+        let regular = worked - dailyOvertime;
+
+        const weeklyOvertime = Math.max(0, weekRegular + regular - weeklyLimit);
+        regular -= weeklyOvertime;
+        weekRegular += regular;
+
+        return { regular, overtime: dailyOvertime + weeklyOvertime };
+    });
+}
+
+const TOTAL_KEYS = ['elapsed', 'breaks', 'lunch', 'worked', 'regular', 'overtime'];
+
+function emptyTotals() {
+    return Object.fromEntries(TOTAL_KEYS.map(key => [key, 0]));
+}
+
+function addTotals(target, source) {
+    for (const key of TOTAL_KEYS) target[key] += source[key] || 0;
+    return target;
+}
+
+function totalsToHours(totals) {
+    return {
+        totalHours: toHours(totals.worked),
+        breakHours: toHours(totals.breaks),
+        lunchDeductionHours: toHours(totals.lunch),
+        regularHours: toHours(totals.regular),
+        overtimeHours: toHours(totals.overtime)
+    };
+}
+
+// Records that can't be counted, keyed by record id
+function findFlaggedRecords(records) {
+    const flagged = new Map();
+    const closed = [];
+
+    for (const record of records) {
+        if (!record.clockOut) {
+            flagged.set(record.id, 'open_punch');
+        } else if (record.clockOut <= record.clockIn) {
+            flagged.set(record.id, 'invalid_duration');
+        } else {
+            closed.push(record);
+        }
+    }
+
+    closed.sort((a, b) => a.clockIn - b.clockIn);
+    let latest = null;
+    for (const record of closed) {
+        if (latest && record.clockIn < latest.clockOut) {
+            flagged.set(record.id, 'overlap');
+            flagged.set(latest.id, 'overlap');
+        }
+        if (!latest || record.clockOut > latest.clockOut) latest = record;
+    }
+
+    return flagged;
+}
+
+// employees: [{ id, name, locationId, departmentId, isTemp, tempAgency, autoDeductLunch }]
+// records:   [{ id, employeeId, locationId, clockIn: Date, clockOut: Date|null, breaks, timeZone }]
+// from, to:  the reported period (YYYY-MM-DD, inclusive); records before `from`
+//            back to the start of its week count toward that week's overtime
+//            but aren't reported themselves
+export function buildTimesheetReport({ employees, records, weekStartDay = 0, policy = DEFAULT_TIMESHEET_POLICY, from = null, to = null }) {
+    const inPeriod = (date) => (!from || date >= from) && (!to || date <= to);
+    const recordsByEmployee = new Map();
+    for (const record of records) {
+        if (!recordsByEmployee.has(record.employeeId)) recordsByEmployee.set(record.employeeId, []);
+        recordsByEmployee.get(record.employeeId).push(record);
+    }
+
+    const employeeRows = [];
+    for (const employee of employees) {
+        const employeeRecords = recordsByEmployee.get(employee.id) || [];
+        if (employeeRecords.length === 0) continue;
+
+        const flaggedIds = findFlaggedRecords(employeeRecords);
+        const flagged = [];
+        const dayMap = new Map();
+
+        for (const record of employeeRecords) {
+            const date = dayKey(record.clockIn, record.timeZone);
+            if (flaggedIds.has(record.id)) {
+                if (inPeriod(date)) {
+                    flagged.push({
+                        recordId: record.id,
+                        reason: flaggedIds.get(record.id),
+                        date,
+                        clockIn: record.clockIn,
+                        clockOut: record.clockOut
+                    });
+                }
+                continue;
+            }
+
+            if (!dayMap.has(date)) dayMap.set(date, { date, recordIds: [], ...emptyTotals() });
+            const day = dayMap.get(date);
+            day.recordIds.push(record.id);
+            addTotals(day, shiftMinutes(record, employee, policy));
+        }
+
+        // Overtime is split per week, in day order, over whole weeks; only the
+        // days in the period are reported
+        const days = [...dayMap.values()].sort((a, b) => a.date.localeCompare(b.date));
+        const reported = days.filter(day => inPeriod(day.date));
+        if (reported.length === 0 && flagged.length === 0) continue;
+        const weekMap = new Map();
+        for (const day of days) {
+            const weekStart = weekStartKey(day.date, weekStartDay);
+            if (!weekMap.has(weekStart)) weekMap.set(weekStart, []);
+            weekMap.get(weekStart).push(day);
+        }
+
+        const totals = emptyTotals();
+        const weeks = [];
+        for (const [weekStart, weekDays] of weekMap) {
+            const split = splitOvertime(weekDays, policy);
+            const weekTotals = emptyTotals();
+            weekDays.forEach((day, i) => {
+                day.regular = split[i].regular;
+                day.overtime = split[i].overtime;
+                if (inPeriod(day.date)) addTotals(weekTotals, day);
+            });
+            if (!weekDays.some(day => inPeriod(day.date))) continue;
+            addTotals(totals, weekTotals);
+            weeks.push({ weekStart, ...totalsToHours(weekTotals) });
+        }
+
+        employeeRows.push({
+            employeeId: employee.id,
+            name: employee.name,
+            locationId: employee.locationId,
+            departmentId: employee.departmentId,
+            isTemp: Boolean(employee.isTemp),
+            tempAgency: employee.tempAgency || null,
+            days: reported.map(day => ({ date: day.date, recordIds: day.recordIds, ...totalsToHours(day) })),
+            weeks,
+            totals: totalsToHours(totals),
+            flagged,
+            _totals: totals
+        });
+    }
+
+    // Temp workers are also grouped by agency, for agency invoices
+    const agencyMap = new Map();
+    for (const row of employeeRows) {
+        if (!row.isTemp) continue;
+        const agency = row.tempAgency || 'Unassigned';
+        if (!agencyMap.has(agency)) agencyMap.set(agency, { tempAgency: agency, employeeIds: [], totals: emptyTotals() });
+        const group = agencyMap.get(agency);
+        group.employeeIds.push(row.employeeId);
+        addTotals(group.totals, row._totals);
+    }
+
+    return {
+        employees: employeeRows.map(({ _totals, ...row }) => row),
+        tempAgencies: [...agencyMap.values()].map(group => ({ ...group, totals: totalsToHours(group.totals) }))
+    };
+}
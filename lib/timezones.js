@@ -0,0 +1,84 @@
+// IANA time zone helpers, built on Intl so they follow the tz database Node
+// ships with. Time records are stored as instants (TIMESTAMPTZ); kiosks send
+// local wall-clock times, and hours are grouped by the local calendar day of
+// the record's location.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// A wall-clock timestamp without a UTC offset, e.g. 2024-03-10T02:30:00
+const WALL_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?)?$/;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        formatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant in `timeZone`
+function wallFields(time, timeZone) {
+    const fields = {};
+    for (const { type, value } of formatter(timeZone).formatToParts(new Date(time))) {
+        fields[type] = Number(value);
+    }
+    return fields;
+}
+
+// Offset (ms ahead of UTC) of `timeZone` at an instant
+function zoneOffset(time, timeZone) {
+    const f = wallFields(time, timeZone);
+    const wall = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+    return wall - Math.floor(time / 1000) * 1000;
+}
+
+// The instant a wall-clock time (ms, as if UTC) happens in `timeZone`. Around
+// DST changes it resolves like PostgreSQL's AT TIME ZONE: a time that happens
+// twice is read as standard time (the later one), a time skipped by the
+// change is moved forward by the gap.
+function wallTimeToInstant(wall, timeZone) {
+    const before = zoneOffset(wall - MS_PER_DAY, timeZone);
+    const after = zoneOffset(wall + MS_PER_DAY, timeZone);
+    const valid = [...new Set([before, after])]
+        .map(offset => wall - offset)
+        .filter(time => wall - zoneOffset(time, timeZone) === time);
+    return valid.length ? Math.max(...valid) : wall - before;
+}
+
+// Read a local wall-clock timestamp in `timeZone`, returning it as an ISO
+// string in UTC. Anything else (timestamps with an offset, non-strings,
+// unparseable values) is returned unchanged.
+export function zonedToUtc(value, timeZone) {
+    const match = typeof value === 'string' && WALL_TIME.exec(value.trim());
+    if (!match) return value;
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, Number(fraction.padEnd(3, '0').slice(0, 3)));
+    if (Number.isNaN(wall)) return value;
+    return new Date(wallTimeToInstant(wall, timeZone)).toISOString();
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant in `timeZone`
+export function localDay(date, timeZone) {
+    const f = wallFields(date.getTime(), timeZone);
+    return `${f.year}-${String(f.month).padStart(2, '0')}-${String(f.day).padStart(2, '0')}`;
+}
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { rowToApi } from './schemas.js';
+
+// Outbound webhooks. Triggers queue a delivery per event and subscribed
+// webhook (see migrations/011_webhooks.sql); deliverDueWebhooks() sends the
+// due ones as a JSON POST:
+//   { id, type, occurredAt, data }   data is the document as the REST API returns it
+// with headers
+//   X-TimeKiosk-Event      the event type
+//   X-TimeKiosk-Delivery   the delivery id
+//   X-TimeKiosk-Timestamp  Unix seconds when it was sent
+//   X-TimeKiosk-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+// Receivers should check the signature and reject old timestamps. Any 2xx
+// response counts as delivered; anything else (or no response in time) is
+// retried with exponential backoff until the policy's maxAttempts, after which
+// the delivery is dead until redelivered.
+
+export const WEBHOOK_EVENTS = [
+    'punch.clock_in', 'punch.clock_out',
+    'employee.created', 'employee.updated', 'employee.archived', 'employee.deleted'
+];
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+export const DEFAULT_WEBHOOK_POLICY = {
+    timeoutSeconds: 10,
+    maxAttempts: 8,
+    retryBaseSeconds: 30,
+    retryMaxSeconds: 6 * 60 * 60
+};
+
+const BATCH_SIZE = 20;
+// Responses are kept in the delivery log up to this length
+const MAX_RESPONSE_BODY = 1000;
+
+// Validate a webhook registration; with `partial`, only the fields given.
+// Returns { values, errors } with errors as { field, message }.
+export function validateWebhook(input, { partial = false } = {}) {
+    const values = {};
+    const errors = [];
+    const given = (name) => input[name] !== undefined;
+
+    if (given('url') || !partial) {
+        let url = null;
+        try {
+            url = typeof input.url === 'string' ? new URL(input.url) : null;
+        } catch (e) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push({ field: 'url', message: 'must be an http(s) URL' });
+        } else {
+            values.url = url.toString();
+        }
+    }
+    if (given('events') || !partial) {
+        const events = input.events;
+        if (!Array.isArray(events) || events.length === 0) {
+            errors.push({ field: 'events', message: `must list one or more of: ${WEBHOOK_EVENTS.join(', ')}` });
+        } else if (events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            errors.push({ field: 'events', message: `unknown event, expected: ${WEBHOOK_EVENTS.join(', ')}` });
+        } else {
+            values.events = [...new Set(events)];
+        }
+    }
+    if (given('secret')) {
+        if (typeof input.secret !== 'string' || input.secret.length < 16 || input.secret.length > 256) {
+            errors.push({ field: 'secret', message: 'must be 16 to 256 characters' });
+        } else {
+            values.secret = input.secret;
+        }
+    }
+    if (given('description')) {
+        if (input.description !== null && typeof input.description !== 'string') {
+            errors.push({ field: 'description', message: 'must be a string' });
+        } else {
+            values.description = input.description;
+        }
+    }
+    if (given('active')) {
+        if (typeof input.active !== 'boolean') {
+            errors.push({ field: 'active', message: 'must be true or false' });
+        } else {
+            values.active = input.active;
+        }
+    }
+    return { values, errors };
+}
+
+// Secrets are only shown when a webhook is created
+export function webhookToApi(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: row.events,
+        description: row.description,
+        active: row.active,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export function deliveryToApi(row) {
+    return {
+        id: String(row.id),
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        documentId: row.document_id,
+        occurredAt: row.occurred_at,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+        lastAttemptAt: row.last_attempt_at,
+        responseStatus: row.response_status,
+        responseBody: row.response_body,
+        lastError: row.last_error,
+        deliveredAt: row.delivered_at,
+        redeliveryOf: row.redelivery_of === null ? null : String(row.redelivery_of),
+        createdAt: row.created_at
+    };
+}
+
+export function signWebhook(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Seconds to wait after the given (1-based) failed attempt
+export function retryDelaySeconds(attempt, policy = DEFAULT_WEBHOOK_POLICY) {
+    return Math.min(policy.retryBaseSeconds * 2 ** (attempt - 1), policy.retryMaxSeconds);
+}
+
+// The request body of a delivery. The document is read back into its table's
+// row type, so the data matches what the REST API returns.
+async function deliveryBody(db, delivery) {
+    const result = await db.query(
+        `SELECT * FROM jsonb_populate_record(NULL::${delivery.collection}, $1::jsonb)`,
+        [JSON.stringify(delivery.document)]
+    );
+    return JSON.stringify({
+        id: delivery.event_id,
+        type: delivery.event_type,
+        occurredAt: delivery.occurred_at,
+        data: rowToApi(delivery.collection, result.rows[0])
+    });
+}
+
+async function attemptDelivery(db, delivery, policy) {
+    try {
+        const body = await deliveryBody(db, delivery);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TimeKiosk-Webhooks',
+                'X-TimeKiosk-Event': delivery.event_type,
+                'X-TimeKiosk-Delivery': String(delivery.id),
+                'X-TimeKiosk-Timestamp': String(timestamp),
+                'X-TimeKiosk-Signature': signWebhook(delivery.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(policy.timeoutSeconds * 1000)
+        });
+        const text = await response.text().catch(() => '');
+        return {
+            ok: response.ok,
+            status: response.status,
+            body: text.slice(0, MAX_RESPONSE_BODY),
+            error: response.ok ? null : `HTTP ${response.status}`
+        };
+    } catch (err) {
+        const error = err.name === 'TimeoutError' ? `No response within ${policy.timeoutSeconds}s` : (err.cause || err).message;
+        return { ok: false, status: null, body: null, error };
+    }
+}
+
+// Send the deliveries that are due, in batches, until none are left. Claimed
+// deliveries are leased for the send timeout, so ones a crashed server was
+// sending are picked up again. Returns { delivered, failed, dead }.
+export async function deliverDueWebhooks(pool, policy = DEFAULT_WEBHOOK_POLICY) {
+    const counts = { delivered: 0, failed: 0, dead: 0 };
+    for (;;) {
+        const claimed = await pool.query(
+            `UPDATE webhook_deliveries d
+             SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+             FROM webhooks w
+             WHERE w.id = d.webhook_id AND d.id IN (
+                 SELECT id FROM webhook_deliveries
+                 WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                   AND webhook_id IN (SELECT id FROM webhooks WHERE active)
+                 ORDER BY next_attempt_at, id
+                 LIMIT $1
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING d.*, w.url, w.secret`,
+            [BATCH_SIZE, policy.timeoutSeconds * 2]
+        );
+        if (claimed.rows.length === 0) return counts;
+
+        await Promise.all(claimed.rows.map(async (delivery) => {
+            const result = await attemptDelivery(pool, delivery, policy);
+            const attempt = delivery.attempts + 1;
+            const status = result.ok ? 'delivered' : attempt >= policy.maxAttempts ? 'dead' : 'pending';
+            await pool.query(
+                `UPDATE webhook_deliveries SET
+                 status = $2::text, attempts = $3, last_attempt_at = CURRENT_TIMESTAMP,
+                 response_status = $4, response_body = $5, last_error = $6,
+                 delivered_at = CASE WHEN $2::text = 'delivered' THEN CURRENT_TIMESTAMP END,
+                 next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $7)
+                 WHERE id = $1`,
+                [delivery.id, status, attempt, result.status, result.body, result.error, retryDelaySeconds(attempt, policy)]
+            );
+            if (result.ok) {
+                counts.delivered++;
+            } else if (status === 'dead') {
+                counts.dead++;
+                logger.warn('Webhook delivery dead', {
+                    webhookId: delivery.webhook_id, deliveryId: String(delivery.id), eventType: delivery.event_type, attempts: attempt, error: result.error
+                });
+            } else {
+                counts.failed++;
+            }
+        }));
+    }
+}
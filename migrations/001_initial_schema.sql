@@ -0,0 +1,205 @@
+-- Baseline schema. Uses IF NOT EXISTS throughout so it also adopts databases
+-- created by earlier server versions.
+
+CREATE TABLE IF NOT EXISTS employees (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    pin VARCHAR(50),
+    pin_hash TEXT,
+    pin_fingerprint VARCHAR(64),
+    image_url TEXT,
+    archived BOOLEAN DEFAULT false,
+    auto_deduct_lunch BOOLEAN DEFAULT false,
+    location_id VARCHAR(100),
+    department_id VARCHAR(100),
+    is_temp BOOLEAN DEFAULT false,
+    temp_agency VARCHAR(255),
+    _deleted BOOLEAN NOT NULL DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS timerecords (
+    id VARCHAR(100) PRIMARY KEY,
+    employee_id VARCHAR(100) NOT NULL,
+    location_id VARCHAR(100),
+    clock_in TIMESTAMP NOT NULL,
+    clock_out TIMESTAMP,
+    breaks JSONB DEFAULT '[]',
+    device_id VARCHAR(100),
+    _deleted BOOLEAN NOT NULL DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS locations (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    abbreviation VARCHAR(50),
+    _deleted BOOLEAN NOT NULL DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS departments (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    _deleted BOOLEAN NOT NULL DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS settings (
+    id VARCHAR(100) PRIMARY KEY,
+    logo_url TEXT,
+    week_start_day INTEGER DEFAULT 0,
+    remote_db_url TEXT,
+    enable_screen_saver BOOLEAN DEFAULT true,
+    kiosk_location_id VARCHAR(100),
+    clock_format VARCHAR(10) DEFAULT '12',
+    allow_employee_photo_upload BOOLEAN DEFAULT false,
+    timeout_status INTEGER DEFAULT 7,
+    timeout_timecard INTEGER DEFAULT 15,
+    timeout_confirmation INTEGER DEFAULT 7,
+    timeout_admin_dashboard INTEGER DEFAULT 60,
+    timeout_admin_login INTEGER DEFAULT 10,
+    _deleted BOOLEAN NOT NULL DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS devices (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    kiosk_location_id VARCHAR(100),
+    last_seen_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS device_enrollments (
+    code_hash VARCHAR(64) PRIMARY KEY,
+    name VARCHAR(255),
+    kiosk_location_id VARCHAR(100),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    device_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id VARCHAR(100) PRIMARY KEY,
+    username VARCHAR(255) UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    location_ids TEXT[] NOT NULL DEFAULT '{}',
+    department_ids TEXT[] NOT NULL DEFAULT '{}',
+    disabled BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    token_hash VARCHAR(64) PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS pin_lockouts (
+    subject VARCHAR(255) PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Field mapping per payroll export format (one organization per server)
+CREATE TABLE IF NOT EXISTS payroll_export_mappings (
+    format VARCHAR(50) PRIMARY KEY,
+    mapping JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payroll_period_locks (
+    period_from DATE NOT NULL,
+    period_to DATE NOT NULL,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (period_from, period_to)
+);
+
+-- Every export, with the file itself kept for locked periods
+CREATE TABLE IF NOT EXISTS payroll_exports (
+    id VARCHAR(100) PRIMARY KEY,
+    format VARCHAR(50) NOT NULL,
+    period_from DATE NOT NULL,
+    period_to DATE NOT NULL,
+    locked BOOLEAN NOT NULL DEFAULT false,
+    checksum VARCHAR(64) NOT NULL,
+    byte_size INTEGER NOT NULL,
+    employee_count INTEGER NOT NULL,
+    content TEXT,
+    exported_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_payroll_exports_period ON payroll_exports (period_from, period_to, format);
+
+-- Databases created before versioned migrations were brought up to date by
+-- ALTERs at startup; repeat them so those databases match this baseline.
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS enable_screen_saver BOOLEAN DEFAULT true;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS kiosk_location_id VARCHAR(100);
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS clock_format VARCHAR(10) DEFAULT '12';
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS allow_employee_photo_upload BOOLEAN DEFAULT false;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_status INTEGER DEFAULT 7;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_timecard INTEGER DEFAULT 15;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_confirmation INTEGER DEFAULT 7;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_admin_dashboard INTEGER DEFAULT 60;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_admin_login INTEGER DEFAULT 10;
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE timerecords ADD COLUMN IF NOT EXISTS device_id VARCHAR(100);
+
+ALTER TABLE employees ALTER COLUMN pin DROP NOT NULL;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS pin_hash TEXT;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS pin_fingerprint VARCHAR(64);
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS _deleted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+UPDATE employees SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE updated_at IS NULL;
+
+ALTER TABLE timerecords ADD COLUMN IF NOT EXISTS _deleted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE timerecords ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+UPDATE timerecords SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE updated_at IS NULL;
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS _deleted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+UPDATE locations SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE updated_at IS NULL;
+
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS _deleted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+UPDATE departments SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE updated_at IS NULL;
+
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS _deleted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+UPDATE settings SET updated_at = CURRENT_TIMESTAMP WHERE updated_at IS NULL;
+
+-- Sync checkpoints page through (updated_at, id)
+CREATE INDEX IF NOT EXISTS idx_employees_updated_at_id ON employees (updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_timerecords_updated_at_id ON timerecords (updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_locations_updated_at_id ON locations (updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_departments_updated_at_id ON departments (updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_settings_updated_at_id ON settings (updated_at, id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employees_pin_fingerprint ON employees (pin_fingerprint);
+
+-- The kiosk app expects a settings document to exist
+INSERT INTO settings (id, week_start_day, logo_url, remote_db_url) VALUES ('GLOBAL_SETTINGS', 0, '', '')
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,37 @@
+-- Live change notifications for /sync/:collection/stream. Every write to a
+-- collection sends { collection, id, op } on the timekiosk_changes channel
+-- (see lib/changeFeed.js).
+
+CREATE OR REPLACE FUNCTION timekiosk_notify_change() RETURNS trigger AS $$
+DECLARE
+    doc_id TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        doc_id := OLD.id;
+    ELSE
+        doc_id := NEW.id;
+    END IF;
+    PERFORM pg_notify(TG_ARGV[0], json_build_object('collection', TG_TABLE_NAME, 'id', doc_id, 'op', TG_OP)::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS employees_notify_change ON employees;
+CREATE TRIGGER employees_notify_change AFTER INSERT OR UPDATE OR DELETE ON employees
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_notify_change('timekiosk_changes');
+
+DROP TRIGGER IF EXISTS timerecords_notify_change ON timerecords;
+CREATE TRIGGER timerecords_notify_change AFTER INSERT OR UPDATE OR DELETE ON timerecords
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_notify_change('timekiosk_changes');
+
+DROP TRIGGER IF EXISTS locations_notify_change ON locations;
+CREATE TRIGGER locations_notify_change AFTER INSERT OR UPDATE OR DELETE ON locations
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_notify_change('timekiosk_changes');
+
+DROP TRIGGER IF EXISTS departments_notify_change ON departments;
+CREATE TRIGGER departments_notify_change AFTER INSERT OR UPDATE OR DELETE ON departments
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_notify_change('timekiosk_changes');
+
+DROP TRIGGER IF EXISTS settings_notify_change ON settings;
+CREATE TRIGGER settings_notify_change AFTER INSERT OR UPDATE OR DELETE ON settings
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_notify_change('timekiosk_changes');
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Hashed PINs replace the plaintext pin column. Needs PIN_SECRET (or
+// SERVER_SECRET) if any plaintext PINs are left. Employees that share a PIN
+// keep working by ID, but only the first keeps PIN-only lookup.
+//
+// The hashing is copied here rather than imported, so this migration keeps
+// doing what it did when it was written. The formats must match
+// lib/credentials.js: "scrypt$<salt>$<hash>" and the "pin-fingerprint" keyed hash.
+
+async function hashPin(pin) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scrypt(String(pin), salt, 64);
+    return `scrypt$${salt.toString('base64url')}$${derived.toString('base64url')}`;
+}
+
+function fingerprintPin(pin, secret) {
+    return crypto.createHmac('sha256', `pin-fingerprint:${secret}`).update(String(pin)).digest('hex');
+}
+
+export async function up(client, { log = console } = {}) {
+    const result = await client.query('SELECT id, pin FROM employees WHERE pin IS NOT NULL ORDER BY created_at, id');
+    if (result.rows.length === 0) return;
+
+    const secret = process.env.PIN_SECRET || process.env.SERVER_SECRET;
+    if (!secret) {
+        throw new Error('PIN_SECRET (or SERVER_SECRET) must be set to hash the plaintext employee PINs');
+    }
+
+    log.info(`Hashing ${result.rows.length} plaintext employee PIN(s)...`);
+    for (const { id, pin } of result.rows) {
+        const fingerprint = fingerprintPin(pin, secret);
+        const duplicate = await client.query('SELECT id FROM employees WHERE pin_fingerprint = $1', [fingerprint]);
+        if (duplicate.rows.length > 0) {
+            log.warn(`Employee ${id} shares a PIN with ${duplicate.rows[0].id}; assign a new PIN via PUT /employees/${id}/pin`);
+        }
+        await client.query(
+            'UPDATE employees SET pin = NULL, pin_hash = $2, pin_fingerprint = $3 WHERE id = $1',
+            [id, await hashPin(pin), duplicate.rows.length > 0 ? null : fingerprint]
+        );
+    }
+}
@@ -0,0 +1,95 @@
+-- Append-only history of every change to the synced collections. Rows are
+-- written by triggers, so no write path can skip them. The server puts the
+-- actor, IP and reason in transaction-local settings (timekiosk.audit_*);
+-- changes made without them (purge job, manual SQL) are recorded as 'system'.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    collection VARCHAR(50) NOT NULL,
+    document_id VARCHAR(100) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    before JSONB,
+    after JSONB,
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id VARCHAR(255),
+    ip VARCHAR(64),
+    reason TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_document ON audit_log (collection, document_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+
+-- action is insert, update or purge (hard delete); soft deletes and restores
+-- are updates of _deleted and are recorded as delete and restore
+CREATE OR REPLACE FUNCTION timekiosk_audit_change() RETURNS trigger AS $$
+DECLARE
+    before_doc JSONB;
+    after_doc JSONB;
+    change_action TEXT;
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        -- PIN secrets never go into the log
+        before_doc := to_jsonb(OLD) - 'pin' - 'pin_hash' - 'pin_fingerprint';
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        after_doc := to_jsonb(NEW) - 'pin' - 'pin_hash' - 'pin_fingerprint';
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        change_action := 'insert';
+    ELSIF TG_OP = 'DELETE' THEN
+        change_action := 'purge';
+    ELSIF NEW._deleted AND NOT OLD._deleted THEN
+        change_action := 'delete';
+    ELSIF OLD._deleted AND NOT NEW._deleted THEN
+        change_action := 'restore';
+    ELSE
+        change_action := 'update';
+    END IF;
+
+    INSERT INTO audit_log (collection, document_id, action, before, after, actor_type, actor_id, ip, reason)
+    VALUES (
+        TG_TABLE_NAME,
+        COALESCE(after_doc, before_doc) ->> 'id',
+        change_action,
+        before_doc,
+        after_doc,
+        COALESCE(NULLIF(current_setting('timekiosk.audit_actor_type', true), ''), 'system'),
+        NULLIF(current_setting('timekiosk.audit_actor_id', true), ''),
+        NULLIF(current_setting('timekiosk.audit_ip', true), ''),
+        NULLIF(current_setting('timekiosk.audit_reason', true), '')
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION timekiosk_audit_immutable() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_immutable ON audit_log;
+CREATE TRIGGER audit_log_immutable BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_immutable();
+
+DROP TRIGGER IF EXISTS employees_audit ON employees;
+CREATE TRIGGER employees_audit AFTER INSERT OR UPDATE OR DELETE ON employees
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_change();
+
+DROP TRIGGER IF EXISTS timerecords_audit ON timerecords;
+CREATE TRIGGER timerecords_audit AFTER INSERT OR UPDATE OR DELETE ON timerecords
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_change();
+
+DROP TRIGGER IF EXISTS locations_audit ON locations;
+CREATE TRIGGER locations_audit AFTER INSERT OR UPDATE OR DELETE ON locations
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_change();
+
+DROP TRIGGER IF EXISTS departments_audit ON departments;
+CREATE TRIGGER departments_audit AFTER INSERT OR UPDATE OR DELETE ON departments
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_change();
+
+DROP TRIGGER IF EXISTS settings_audit ON settings;
+CREATE TRIGGER settings_audit AFTER INSERT OR UPDATE OR DELETE ON settings
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_change();
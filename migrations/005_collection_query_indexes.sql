@@ -0,0 +1,17 @@
+-- Indexes behind the GET /:collection filters and sorts. Each ends on id to
+-- match the (sort column, id) keyset used by cursor pagination.
+--
+-- Migrations run in a transaction, so these block writes while they build. On
+-- a large timerecords table, create them by hand with CREATE INDEX CONCURRENTLY
+-- first; IF NOT EXISTS then skips them here.
+
+CREATE INDEX IF NOT EXISTS idx_timerecords_clock_in_id ON timerecords (clock_in, id);
+CREATE INDEX IF NOT EXISTS idx_timerecords_employee_clock_in ON timerecords (employee_id, clock_in, id);
+CREATE INDEX IF NOT EXISTS idx_timerecords_location_clock_in ON timerecords (location_id, clock_in, id);
+
+CREATE INDEX IF NOT EXISTS idx_employees_location_id ON employees (location_id);
+CREATE INDEX IF NOT EXISTS idx_employees_department_id ON employees (department_id);
+CREATE INDEX IF NOT EXISTS idx_employees_name_id ON employees (name, id);
+
+CREATE INDEX IF NOT EXISTS idx_locations_name_id ON locations (name, id);
+CREATE INDEX IF NOT EXISTS idx_departments_name_id ON departments (name, id);
@@ -0,0 +1,22 @@
+-- Uploaded images. The bytes live in media storage (see lib/mediaStorage.js);
+-- employees and settings reference them by id instead of inline data URLs.
+
+CREATE TABLE IF NOT EXISTS media (
+    id VARCHAR(100) PRIMARY KEY,
+    content_type VARCHAR(100) NOT NULL,
+    byte_size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    etag VARCHAR(64) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_content_type VARCHAR(100) NOT NULL,
+    thumbnail_byte_size INTEGER NOT NULL,
+    thumbnail_etag VARCHAR(64) NOT NULL,
+    thumbnail_storage_key VARCHAR(255) NOT NULL,
+    uploaded_by_type VARCHAR(20) NOT NULL,
+    uploaded_by_id VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS image_id VARCHAR(100);
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS logo_id VARCHAR(100);
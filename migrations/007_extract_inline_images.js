@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+// Move data URLs out of employees.image_url and settings.logo_url into media
+// storage (MEDIA_STORAGE / MEDIA_DIR). Files written before a failure stay
+// behind unreferenced; rerunning the migration stores them again.
+// External image URLs are left in place.
+//
+// The image handling is copied here rather than imported, so this migration
+// keeps doing what it did when it was written. Media rows, keys and the disk
+// layout must match lib/media.js and lib/mediaStorage.js.
+const INLINE_IMAGES = [
+    { table: 'employees', urlColumn: 'image_url', idColumn: 'image_id' },
+    { table: 'settings', urlColumn: 'logo_url', idColumn: 'logo_id' }
+];
+
+const MEDIA_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const THUMBNAIL_SIZE = 256;
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Local disk was the only storage backend
+function mediaRoot() {
+    const backend = process.env.MEDIA_STORAGE || 'local';
+    if (backend !== 'local') {
+        throw new Error(`Unknown MEDIA_STORAGE backend: ${backend}`);
+    }
+    return path.resolve(process.env.MEDIA_DIR || './media');
+}
+
+// Files are spread over subdirectories by key prefix, written then renamed
+async function writeMedia(root, key, data) {
+    const file = path.join(root, key.slice(0, 2), key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, file);
+}
+
+// Store an inline image and its thumbnail; returns the media id, or null if
+// the value isn't a base64 data URL of a JPEG, PNG or WebP image
+async function storeInlineImage(client, root, value) {
+    const match = /^data:[^,]*;base64,(.*)$/s.exec(value);
+    if (!match) return null;
+    const buffer = Buffer.from(match[1], 'base64');
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        return null;
+    }
+    const contentType = MEDIA_TYPES[metadata.format];
+    if (!contentType) return null;
+
+    const id = crypto.randomUUID();
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    await writeMedia(root, id, buffer);
+    await writeMedia(root, `${id}.thumb`, thumbnail);
+
+    await client.query(
+        `INSERT INTO media (id, content_type, byte_size, width, height, etag, storage_key,
+                            thumbnail_content_type, thumbnail_byte_size, thumbnail_etag, thumbnail_storage_key,
+                            uploaded_by_type, uploaded_by_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'system', NULL)`,
+        [id, contentType, buffer.length, metadata.width, metadata.height, sha256(buffer), id,
+            'image/webp', thumbnail.length, sha256(thumbnail), `${id}.thumb`]
+    );
+    return id;
+}
+
+export async function up(client, { log = console } = {}) {
+    const root = mediaRoot();
+
+    for (const { table, urlColumn, idColumn } of INLINE_IMAGES) {
+        const result = await client.query(
+            `SELECT id, ${urlColumn} AS url FROM ${table} WHERE ${urlColumn} LIKE 'data:%' AND ${idColumn} IS NULL ORDER BY id`
+        );
+        if (result.rows.length === 0) continue;
+
+        log.info(`Extracting ${result.rows.length} inline image(s) from ${table}.${urlColumn}...`);
+        for (const { id, url } of result.rows) {
+            const mediaId = await storeInlineImage(client, root, url);
+            if (!mediaId) {
+                log.warn(`${table} ${id}: ${urlColumn} is not a supported image, leaving it inline`);
+                continue;
+            }
+            // Bump updated_at so kiosks pull the new reference
+            await client.query(
+                `UPDATE ${table} SET ${idColumn} = $2, ${urlColumn} = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [id, mediaId]
+            );
+        }
+    }
+}
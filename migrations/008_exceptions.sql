@@ -0,0 +1,35 @@
+-- Anomalies found by the scan in lib/anomalies.js, for managers to resolve or
+-- ignore. One row per finding; rescans update it rather than adding another.
+
+CREATE TABLE IF NOT EXISTS exceptions (
+    id BIGSERIAL PRIMARY KEY,
+    kind VARCHAR(30) NOT NULL,
+    timerecord_id VARCHAR(100) NOT NULL,
+    -- The other record, for overlaps
+    related_timerecord_id VARCHAR(100),
+    employee_id VARCHAR(100),
+    location_id VARCHAR(100),
+    details JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'ignored')),
+    note TEXT,
+    resolved_at TIMESTAMP,
+    resolved_by_type VARCHAR(20),
+    resolved_by_id VARCHAR(255),
+    detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exceptions_finding
+    ON exceptions (kind, timerecord_id, COALESCE(related_timerecord_id, ''));
+CREATE INDEX IF NOT EXISTS idx_exceptions_status ON exceptions (status, detected_at);
+
+-- Per-location overrides of the anomaly policy; NULL columns use the defaults
+CREATE TABLE IF NOT EXISTS anomaly_policies (
+    location_id VARCHAR(100) PRIMARY KEY,
+    open_shift_hours NUMERIC,
+    long_shift_hours NUMERIC,
+    short_shift_minutes NUMERIC,
+    auto_close BOOLEAN,
+    auto_close_shift_hours NUMERIC,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
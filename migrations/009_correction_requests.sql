@@ -0,0 +1,44 @@
+-- Timecard correction requests, submitted by employees at a kiosk and approved
+-- or rejected by a manager. Synced to kiosks like the other collections (but
+-- read-only there), so employees see the outcome after the next pull.
+
+CREATE TABLE IF NOT EXISTS correction_requests (
+    id VARCHAR(100) PRIMARY KEY,
+    type VARCHAR(30) NOT NULL,
+    employee_id VARCHAR(100) NOT NULL,
+    location_id VARCHAR(100),
+    -- The record to correct; NULL for a forgotten punch (a new record)
+    timerecord_id VARCHAR(100),
+    -- Proposed { clockIn, clockOut, breaks }, any subset
+    changes JSONB NOT NULL,
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    device_id VARCHAR(100),
+    -- The record written on approval
+    applied_timerecord_id VARCHAR(100),
+    decision_note TEXT,
+    decided_at TIMESTAMP,
+    decided_by_type VARCHAR(20),
+    decided_by_id VARCHAR(255),
+    _deleted BOOLEAN NOT NULL DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_correction_requests_updated_at_id ON correction_requests (updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_correction_requests_status ON correction_requests (status, created_at, id);
+-- One pending request per time record
+CREATE UNIQUE INDEX IF NOT EXISTS idx_correction_requests_pending
+    ON correction_requests (timerecord_id) WHERE status = 'pending' AND _deleted = false;
+
+-- Latest approved correction of each record
+ALTER TABLE timerecords ADD COLUMN IF NOT EXISTS correction_request_id VARCHAR(100);
+
+DROP TRIGGER IF EXISTS correction_requests_notify_change ON correction_requests;
+CREATE TRIGGER correction_requests_notify_change AFTER INSERT OR UPDATE OR DELETE ON correction_requests
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_notify_change('timekiosk_changes');
+
+DROP TRIGGER IF EXISTS correction_requests_audit ON correction_requests;
+CREATE TRIGGER correction_requests_audit AFTER INSERT OR UPDATE OR DELETE ON correction_requests
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_audit_change();
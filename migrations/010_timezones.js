@@ -0,0 +1,72 @@
+// Time records become instants: clock_in/clock_out move to TIMESTAMPTZ and
+// locations get an IANA timezone. Existing values are local wall-clock times,
+// so each is read in its location's zone: DEFAULT_TIMEZONE, or the server's
+// own zone, which is how they were read until now. Break times in the breaks
+// JSON are converted the same way, to UTC strings; values that don't parse are
+// left as they are. The column changes rewrite the table without firing the
+// change and audit triggers, as the times themselves don't change.
+export async function up(client) {
+    const defaultZone = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const known = await client.query('SELECT 1 FROM pg_timezone_names WHERE name = $1', [defaultZone]);
+    if (known.rows.length === 0) {
+        throw new Error(`DEFAULT_TIMEZONE ${defaultZone} is not a time zone PostgreSQL knows`);
+    }
+
+    await client.query('ALTER TABLE locations ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)');
+    // Existing locations keep the zone their records were converted in, even
+    // if DEFAULT_TIMEZONE changes later
+    await client.query(
+        'UPDATE locations SET timezone = $1, updated_at = CURRENT_TIMESTAMP WHERE timezone IS NULL',
+        [defaultZone]
+    );
+
+    await client.query(`SELECT set_config('timekiosk.default_timezone', $1, true)`, [defaultZone]);
+    await client.query(`
+        CREATE FUNCTION pg_temp.timekiosk_record_zone(location_id TEXT) RETURNS TEXT
+        LANGUAGE sql STABLE AS $$
+            SELECT COALESCE(
+                (SELECT timezone FROM locations WHERE id = location_id),
+                current_setting('timekiosk.default_timezone')
+            )
+        $$
+    `);
+    await client.query(`
+        CREATE FUNCTION pg_temp.timekiosk_zoned_time(value TEXT, zone TEXT) RETURNS TEXT
+        LANGUAGE plpgsql STABLE AS $$
+        BEGIN
+            IF value !~ '^\\d{4}-\\d{2}-\\d{2}([T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?)?$' THEN
+                RETURN value;
+            END IF;
+            RETURN to_char(value::timestamp AT TIME ZONE zone AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"');
+        EXCEPTION WHEN others THEN
+            RETURN value;
+        END
+        $$
+    `);
+    await client.query(`
+        CREATE FUNCTION pg_temp.timekiosk_zoned_breaks(breaks JSONB, zone TEXT) RETURNS JSONB
+        LANGUAGE sql STABLE AS $$
+            SELECT CASE WHEN breaks IS NULL OR jsonb_typeof(breaks) <> 'array' THEN breaks ELSE (
+                SELECT COALESCE(jsonb_agg(
+                    CASE WHEN jsonb_typeof(b) = 'object' THEN COALESCE((
+                        SELECT jsonb_object_agg(key, CASE
+                            WHEN key IN ('start', 'end', 'startTime', 'endTime') AND jsonb_typeof(value) = 'string'
+                            THEN to_jsonb(pg_temp.timekiosk_zoned_time(value #>> '{}', zone))
+                            ELSE value
+                        END)
+                        FROM jsonb_each(b)
+                    ), b) ELSE b END
+                    ORDER BY ordinality
+                ), '[]'::jsonb)
+                FROM jsonb_array_elements(breaks) WITH ORDINALITY AS elements(b, ordinality)
+            ) END
+        $$
+    `);
+
+    await client.query(`
+        ALTER TABLE timerecords
+            ALTER COLUMN clock_in TYPE TIMESTAMPTZ USING clock_in AT TIME ZONE pg_temp.timekiosk_record_zone(location_id),
+            ALTER COLUMN clock_out TYPE TIMESTAMPTZ USING clock_out AT TIME ZONE pg_temp.timekiosk_record_zone(location_id),
+            ALTER COLUMN breaks TYPE JSONB USING pg_temp.timekiosk_zoned_breaks(breaks, pg_temp.timekiosk_record_zone(location_id))
+    `);
+}
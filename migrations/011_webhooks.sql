@@ -0,0 +1,104 @@
+-- Outbound webhooks (see lib/webhooks.js). Deliveries are queued by triggers
+-- in the same transaction as the change, so every write path (REST, sync
+-- push, approved corrections, imports) queues them and a rollback takes them
+-- back. The server sends them from the queue, retrying failures.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id VARCHAR(100) PRIMARY KEY,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL,
+    -- HMAC key for the X-TimeKiosk-Signature header; kept as is, it signs
+    secret TEXT NOT NULL,
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event and webhook: the queue while pending, the delivery log after
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    webhook_id VARCHAR(100) NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    -- Shared by the webhooks an event goes to and by redeliveries
+    event_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    collection VARCHAR(50) NOT NULL,
+    document_id VARCHAR(100) NOT NULL,
+    -- The row as it was after the change, without PIN secrets
+    document JSONB NOT NULL,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- dead: gave up after the last retry, see POST .../redeliver
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    response_status INTEGER,
+    response_body TEXT,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    -- The delivery this one was redelivered from
+    redelivery_of BIGINT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+
+-- Events:
+--   punch.clock_in, punch.clock_out  a time record gets its clock-in/clock-out
+--   employee.created, employee.updated, employee.archived, employee.deleted
+CREATE OR REPLACE FUNCTION timekiosk_webhook_events() RETURNS trigger AS $$
+DECLARE
+    event_types TEXT[] := '{}';
+    doc JSONB;
+BEGIN
+    -- Tombstones (pushed, or edited after the delete) aren't news
+    IF NEW._deleted AND (TG_OP = 'INSERT' OR OLD._deleted) THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_TABLE_NAME = 'timerecords' THEN
+        IF NEW.clock_in IS NOT NULL AND (TG_OP = 'INSERT' OR OLD.clock_in IS NULL) THEN
+            event_types := event_types || 'punch.clock_in'::TEXT;
+        END IF;
+        IF NEW.clock_out IS NOT NULL AND (TG_OP = 'INSERT' OR OLD.clock_out IS NULL) THEN
+            event_types := event_types || 'punch.clock_out'::TEXT;
+        END IF;
+    ELSIF TG_OP = 'INSERT' THEN
+        event_types := ARRAY['employee.created'];
+    ELSIF NEW._deleted THEN
+        event_types := ARRAY['employee.deleted'];
+    ELSIF NEW.archived AND NOT OLD.archived THEN
+        event_types := ARRAY['employee.archived'];
+    ELSIF (to_jsonb(NEW) - 'updated_at') IS DISTINCT FROM (to_jsonb(OLD) - 'updated_at') THEN
+        event_types := ARRAY['employee.updated'];
+    END IF;
+
+    IF cardinality(event_types) = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    -- PIN secrets stay out; a placeholder hash keeps hasPin right in the payload
+    doc := to_jsonb(NEW) - 'pin' - 'pin_fingerprint';
+    IF doc ->> 'pin_hash' IS NOT NULL THEN
+        doc := jsonb_set(doc, '{pin_hash}', '"redacted"');
+    END IF;
+
+    INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, collection, document_id, document)
+    SELECT w.id, e.event_id, e.event_type, TG_TABLE_NAME, NEW.id, doc
+    FROM (
+        SELECT event_type, 'EVT-' || gen_random_uuid() AS event_id FROM unnest(event_types) AS event_type
+    ) e
+    JOIN webhooks w ON w.active AND e.event_type = ANY (w.events);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS employees_webhooks ON employees;
+CREATE TRIGGER employees_webhooks AFTER INSERT OR UPDATE ON employees
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_webhook_events();
+
+DROP TRIGGER IF EXISTS timerecords_webhooks ON timerecords;
+CREATE TRIGGER timerecords_webhooks AFTER INSERT OR UPDATE ON timerecords
+    FOR EACH ROW EXECUTE FUNCTION timekiosk_webhook_events();
@@ -0,0 +1,5 @@
+-- Row triggers don't fire on TRUNCATE, so audit_log needs a statement trigger
+-- as well to stay append-only
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION timekiosk_audit_immutable();
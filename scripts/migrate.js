@@ -0,0 +1,33 @@
+// Schema migrations
+//   npm run migrate          apply pending migrations
+//   npm run migrate:status   list migrations and whether they are applied
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { migrate, migrationStatus } from '../lib/migrations.js';
+
+dotenv.config();
+
+const command = process.argv[2] || 'up';
+const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+
+async function main() {
+    if (command === 'up') {
+        const applied = await migrate(pool);
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'status') {
+        const status = await migrationStatus(pool);
+        for (const m of status) {
+            const appliedAt = m.appliedAt ? m.appliedAt.toISOString() : '';
+            console.log(`${String(m.version).padStart(3, '0')}_${m.name.padEnd(32)} ${m.state.padEnd(8)} ${appliedAt}`);
+        }
+        if (status.some(m => m.state !== 'applied')) process.exitCode = 1;
+    } else {
+        console.error(`Unknown command "${command}" (expected "up" or "status")`);
+        process.exitCode = 2;
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+}).finally(() => pool.end());
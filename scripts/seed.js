@@ -0,0 +1,69 @@
+// Demo data for development: a few employees, locations and departments.
+//   npm run seed
+// Only runs against a migrated database with no employees yet.
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { migrationStatus } from '../lib/migrations.js';
+import { setEmployeePin } from '../lib/pins.js';
+
+dotenv.config();
+
+const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+
+const EMPLOYEES = [
+    { id: 'EMP001', name: 'Alice Johnson', pin: '1234' },
+    { id: 'EMP002', name: 'Bob Smith', pin: '5678' },
+    { id: 'EMP003', name: 'Charlie Brown', pin: '1111' }
+];
+
+async function main() {
+    const status = await migrationStatus(pool);
+    if (status.some(m => m.state === 'pending')) {
+        throw new Error('Database has pending migrations, run `npm run migrate` first');
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT COUNT(*) FROM employees');
+        if (parseInt(existing.rows[0].count) > 0) {
+            throw new Error('Database already has employees; demo data is only seeded into an empty database');
+        }
+
+        for (const { id, name, pin } of EMPLOYEES) {
+            await client.query('INSERT INTO employees (id, name, archived) VALUES ($1, $2, false)', [id, name]);
+            await setEmployeePin(client, id, pin);
+        }
+
+        await client.query(`
+            INSERT INTO locations (id, name, abbreviation) VALUES
+            ('LOC001', 'Main Office', 'MO'),
+            ('LOC002', 'Warehouse', 'WH')
+            ON CONFLICT (id) DO NOTHING;
+        `);
+
+        await client.query(`
+            INSERT INTO departments (id, name) VALUES
+            ('DEP001', 'Engineering'),
+            ('DEP002', 'Operations')
+            ON CONFLICT (id) DO NOTHING;
+        `);
+
+        await client.query('COMMIT');
+        console.log('Demo data seeded:');
+        for (const { id, name, pin } of EMPLOYEES) {
+            console.log(`  ${id} ${name} (PIN ${pin})`);
+        }
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+}).finally(() => pool.end());
@@ -3,9 +3,43 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
 import helmet from 'helmet';
+import crypto from 'crypto';
+import { once } from 'events';
 import fs from 'fs';
 import https from 'https';
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import pg from 'pg';
+import { ChangeFeed } from './lib/changeFeed.js';
+import { logger } from './lib/logger.js';
+import { Counter, Gauge, Histogram, renderMetrics } from './lib/metrics.js';
+import {
+    generateToken, hashToken, generateEnrollmentCode, normalizeEnrollmentCode, safeEqual, hashSecret, verifySecret,
+    keyedHash, signToken, verifySignedToken
+} from './lib/credentials.js';
+import { ROLES, can, isScopedRole, scopeCondition } from './lib/permissions.js';
+import { getLockout, recordFailure, clearFailures } from './lib/pinLockout.js';
+import { getPinSecret, pinFingerprint, validatePin, setEmployeePin } from './lib/pins.js';
+import { migrate, migrationStatus } from './lib/migrations.js';
+import { MEDIA_TYPES, storeMedia, mediaToApi } from './lib/media.js';
+import {
+    ANOMALY_KINDS, EXCEPTION_STATUSES, DEFAULT_ANOMALY_POLICY, POLICY_COLUMNS, validatePolicy, policyFromRow, scanAnomalies
+} from './lib/anomalies.js';
+import { createMediaStorage } from './lib/mediaStorage.js';
+import { SCHEMAS, validateDocument, checkReferences, rowToApi, writeQuery } from './lib/schemas.js';
+import { GLOBAL_SETTINGS_ID, settingsId, parseSettingsId, mergeSettings } from './lib/settings.js';
+import { isValidTimeZone, zonedToUtc } from './lib/timezones.js';
+import { DEFAULT_TIMESHEET_POLICY, buildTimesheetReport, weekStartKey } from './lib/timesheets.js';
+import { FORMATTERS as PAYROLL_FORMATTERS, payableEmployees, resolveMapping, validateMapping } from './lib/payrollExport.js';
+import { parseCsv } from './lib/csv.js';
+import { planEmployeeImport, importPreview, applyEmployeeImport, employeeCsvLines } from './lib/employeeImport.js';
+import {
+    BACKUP_FORMATS, schemaVersion, backupChunks, jsonBackupEntries, ndjsonBackupEntries, restoreBackup
+} from './lib/backup.js';
+import {
+    DELIVERY_STATUSES, DEFAULT_WEBHOOK_POLICY, validateWebhook, webhookToApi, deliveryToApi, deliverDueWebhooks
+} from './lib/webhooks.js';
 
 const { Pool } = pg;
 
@@ -28,29 +62,84 @@ if (enableTLS) {
                 cert: fs.readFileSync(tlsCertPath),
                 key: fs.readFileSync(tlsKeyPath),
             };
-            console.log('TLS certificates loaded successfully.');
+            logger.info('TLS certificates loaded');
         } else {
-            console.warn("TLS certificates not found. Falling back to HTTP mode.");
+            logger.warn('TLS certificates not found, falling back to HTTP', { cert: tlsCertPath, key: tlsKeyPath });
         }
     } catch (error) {
-        console.error(`Error loading TLS certificates:`, error.message);
+        logger.error('Error loading TLS certificates', { err: error });
     }
 } else {
-    console.log('TLS disabled (ENABLE_TLS=false). Running in HTTP mode - use a reverse proxy for HTTPS.');
+    logger.info('TLS disabled (ENABLE_TLS=false), running in HTTP mode; use a reverse proxy for HTTPS');
 }
 
 // CORS configuration from environment
 const corsOrigin = process.env.CORS_ORIGIN || '*';
 const parsedOrigins = corsOrigin === '*' ? true : corsOrigin.split(',').map(o => o.trim());
 
+// Request IDs, access logs and metrics. The id comes from the X-Request-Id
+// header when a proxy set one, and is echoed back; handlers log through
+// req.log so their entries carry it.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const httpRequests = new Counter('timekiosk_http_requests_total', 'HTTP requests by route, collection and status');
+const httpRequestDuration = new Histogram('timekiosk_http_request_duration_seconds', 'HTTP request latency by route and collection');
+const syncDocuments = new Counter('timekiosk_sync_documents_total', 'Documents pulled by and pushed from clients');
+const syncConflicts = new Counter('timekiosk_sync_conflicts_total', 'Pushed documents rejected as conflicts');
+const punchVerifications = new Counter('timekiosk_punch_verifications_total', 'PIN checks at POST /punch/verify by result');
+const punches = new Counter('timekiosk_punches_total', 'Clock-ins and clock-outs recorded through sync and POST /timerecords');
+const poolConnections = new Gauge('timekiosk_db_pool_connections', 'Database pool connections by state', () => [
+    { labels: { state: 'total' }, value: pool.totalCount },
+    { labels: { state: 'idle' }, value: pool.idleCount },
+    { labels: { state: 'waiting' }, value: pool.waitingCount }
+]);
+const poolMax = new Gauge('timekiosk_db_pool_max_connections', 'Database pool size limit', () => [{ value: pool.options.max }]);
+const METRICS = [httpRequests, httpRequestDuration, syncDocuments, syncConflicts, punchVerifications, punches, poolConnections, poolMax];
+
+// Count the clock-in/clock-out a time record write added; `before` is the
+// previous row (null for a new record), `after` the stored one
+function countPunches(before, after) {
+    if (after.clock_in && !(before && before.clock_in)) punches.inc({ event: 'clock_in' });
+    if (after.clock_out && !(before && before.clock_out)) punches.inc({ event: 'clock_out' });
+}
+
+app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    const requestId = REQUEST_ID_PATTERN.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        // Route patterns, not paths, so ids don't each get their own series
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const collection = req.params && validCollections.includes(req.params.collection) ? req.params.collection : '';
+        httpRequests.inc({ method: req.method, route, collection, status: res.statusCode });
+        httpRequestDuration.observe({ method: req.method, route, collection }, seconds);
+        req.log.info('request', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            ip: req.ip
+        });
+    });
+    next();
+});
+
 // Middleware
 app.use(cors({
     origin: parsedOrigins,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Change-Reason', 'X-Request-Id'],
+    exposedHeaders: ['X-Next-Cursor', 'X-Request-Id']
 }));
-app.use(bodyParser.json({ limit: '50mb' }));
+// Images are uploaded to POST /media, not embedded in JSON; POST /restore
+// reads its own, larger body
+app.use(bodyParser.json({ limit: '5mb', type: req => req.path !== '/restore' && Boolean(req.is('json')) }));
 app.use(helmet());
 
 // PostgreSQL connection pool
@@ -58,222 +147,372 @@ const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
 });
 
-// Initialize database tables
-async function initDB() {
-    const client = await pool.connect();
-    try {
-        // Create tables if they don't exist
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS employees (
-                id VARCHAR(100) PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                pin VARCHAR(50) NOT NULL,
-                image_url TEXT,
-                archived BOOLEAN DEFAULT false,
-                auto_deduct_lunch BOOLEAN DEFAULT false,
-                location_id VARCHAR(100),
-                department_id VARCHAR(100),
-                is_temp BOOLEAN DEFAULT false,
-                temp_agency VARCHAR(255),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-
-            CREATE TABLE IF NOT EXISTS timerecords (
-                id VARCHAR(100) PRIMARY KEY,
-                employee_id VARCHAR(100) NOT NULL,
-                location_id VARCHAR(100),
-                clock_in TIMESTAMP NOT NULL,
-                clock_out TIMESTAMP,
-                breaks JSONB DEFAULT '[]',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+// Helper: Convert DB row to API format (snake_case to camelCase), as declared
+// in lib/schemas.js
+function dbToApi(row, collection) {
+    if (!row) return null;
+    return SCHEMAS[collection] ? rowToApi(collection, row) : row;
+}
 
-            CREATE TABLE IF NOT EXISTS locations (
-                id VARCHAR(100) PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                abbreviation VARCHAR(50),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+// Time zone of locations without one of their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+    logger.error('DEFAULT_TIMEZONE is not an IANA time zone', { timeZone: DEFAULT_TIMEZONE });
+    process.exit(1);
+}
+// Punch times further ahead of the server clock than this are rejected
+const MAX_CLOCK_SKEW_MINUTES = parseNumber(process.env.MAX_CLOCK_SKEW_MINUTES, 10);
 
-            CREATE TABLE IF NOT EXISTS departments (
-                id VARCHAR(100) PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+// Punch times older than this many days are rejected; 0 (default) allows any
+// age, since late pushes from offline kiosks and backfilled records are normal.
+// Read when used, so a .env loaded after import still applies.
+function maxPunchAgeDays() {
+    return parseNumber(process.env.MAX_PUNCH_AGE_DAYS, 0);
+}
 
-            CREATE TABLE IF NOT EXISTS settings (
-                id VARCHAR(100) PRIMARY KEY,
-                logo_url TEXT,
-                week_start_day INTEGER DEFAULT 0,
-                remote_db_url TEXT,
-                enable_screen_saver BOOLEAN DEFAULT true,
-                kiosk_location_id VARCHAR(100),
-                clock_format VARCHAR(10) DEFAULT '12',
-                allow_employee_photo_upload BOOLEAN DEFAULT false,
-                timeout_status INTEGER DEFAULT 7,
-                timeout_timecard INTEGER DEFAULT 15,
-                timeout_confirmation INTEGER DEFAULT 7,
-                timeout_admin_dashboard INTEGER DEFAULT 60,
-                timeout_admin_login INTEGER DEFAULT 10,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
+// Helper: IANA time zone of a location
+async function locationTimeZone(db, locationId) {
+    if (!locationId) return DEFAULT_TIMEZONE;
+    const result = await db.query('SELECT timezone FROM locations WHERE id = $1', [locationId]);
+    return (result.rows[0] && result.rows[0].timezone) || DEFAULT_TIMEZONE;
+}
 
-        // Migrations: Add columns if they don't exist (Quick & Dirty implementation for dev)
-        try {
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS enable_screen_saver BOOLEAN DEFAULT true`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS kiosk_location_id VARCHAR(100)`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS clock_format VARCHAR(10) DEFAULT '12'`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS allow_employee_photo_upload BOOLEAN DEFAULT false`);
-
-            // Timer migrations
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_status INTEGER DEFAULT 7`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_timecard INTEGER DEFAULT 15`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_confirmation INTEGER DEFAULT 7`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_admin_dashboard INTEGER DEFAULT 60`);
-            await client.query(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS timeout_admin_login INTEGER DEFAULT 10`);
-        } catch (e) {
-            console.log('Migration check skipped or failed:', e.message);
-        }
-
-        // Check if we need to seed initial data
-        const empCheck = await client.query('SELECT COUNT(*) FROM employees');
-        if (parseInt(empCheck.rows[0].count) === 0) {
-            console.log('Seeding initial data...');
-
-            await client.query(`
-                INSERT INTO employees (id, name, pin, archived) VALUES
-                ('EMP001', 'Alice Johnson', '1234', false),
-                ('EMP002', 'Bob Smith', '5678', false),
-                ('EMP003', 'Charlie Brown', '1111', false)
-                ON CONFLICT (id) DO NOTHING;
-            `);
-
-            await client.query(`
-                INSERT INTO locations (id, name, abbreviation) VALUES
-                ('LOC001', 'Main Office', 'MO'),
-                ('LOC002', 'Warehouse', 'WH')
-                ON CONFLICT (id) DO NOTHING;
-            `);
-
-            await client.query(`
-                INSERT INTO departments (id, name) VALUES
-                ('DEP001', 'Engineering'),
-                ('DEP002', 'Operations')
-                ON CONFLICT (id) DO NOTHING;
-            `);
-
-            await client.query(`
-                INSERT INTO settings (id, week_start_day, logo_url, remote_db_url) VALUES
-                ('GLOBAL_SETTINGS', 0, '', '')
-                ON CONFLICT (id) DO NOTHING;
-            `);
-
-            console.log('Initial data seeded!');
-        }
-
-        console.log('PostgreSQL Database Initialized');
-    } catch (err) {
-        console.error('Database initialization error:', err);
-        throw err;
-    } finally {
-        client.release();
+// Helper: Time records are stored as instants. Kiosks send local wall-clock
+// times (no UTC offset); those are read in the record location's time zone.
+async function zonedTimerecordInput(db, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+    const timeZone = await locationTimeZone(db, typeof data.locationId === 'string' ? data.locationId : null);
+    const input = { ...data, clockIn: zonedToUtc(data.clockIn, timeZone), clockOut: zonedToUtc(data.clockOut, timeZone) };
+    if (Array.isArray(data.breaks)) {
+        input.breaks = data.breaks.map((b) => {
+            if (!b || typeof b !== 'object') return b;
+            const zoned = { ...b };
+            for (const key of ['start', 'end', 'startTime', 'endTime']) {
+                if (key in b) zoned[key] = zonedToUtc(b[key], timeZone);
+            }
+            return zoned;
+        });
     }
+    return input;
 }
 
-// Helper: Convert DB row to API format (snake_case to camelCase)
-function dbToApi(row, collection) {
-    if (!row) return null;
-
-    if (collection === 'employees') {
-        return {
-            id: row.id,
-            name: row.name,
-            pin: row.pin,
-            imageUrl: row.image_url,
-            archived: row.archived,
-            autoDeductLunch: row.auto_deduct_lunch,
-            locationId: row.location_id,
-            departmentId: row.department_id,
-            isTemp: row.is_temp,
-            tempAgency: row.temp_agency
-        };
+// Helper: Errors for punch times ahead of the server clock by more than
+// MAX_CLOCK_SKEW_MINUTES, i.e. from a kiosk whose clock is off (see GET /time),
+// or older than MAX_PUNCH_AGE_DAYS when that is set
+function clockSkewErrors(doc, now = Date.now()) {
+    const latest = now + MAX_CLOCK_SKEW_MINUTES * 60 * 1000;
+    const maxAgeDays = maxPunchAgeDays();
+    const earliest = maxAgeDays > 0 ? now - maxAgeDays * 86400000 : -Infinity;
+    const errors = [];
+    for (const field of ['clockIn', 'clockOut']) {
+        if (!doc[field]) continue;
+        const time = Date.parse(doc[field]);
+        if (time > latest) {
+            errors.push({ field, message: `is more than ${MAX_CLOCK_SKEW_MINUTES} minutes ahead of the server clock` });
+        } else if (time < earliest) {
+            errors.push({ field, message: `is more than ${maxAgeDays} days before the server clock` });
+        }
     }
-    if (collection === 'timerecords') {
-        return {
-            id: row.id,
-            employeeId: row.employee_id,
-            locationId: row.location_id,
-            clockIn: row.clock_in,
-            clockOut: row.clock_out,
-            breaks: row.breaks || []
-        };
+    return errors;
+}
+
+// Helper: Validate request data against the collection's schema, including
+// references to other documents. Returns { doc, errors }.
+async function validateInput(db, collection, data, options) {
+    const input = collection === 'timerecords' ? await zonedTimerecordInput(db, data) : data;
+    const { doc, errors } = validateDocument(collection, input, options);
+    if (errors.length === 0 && collection === 'timerecords') {
+        errors.push(...clockSkewErrors(doc));
     }
-    if (collection === 'locations') {
-        return {
-            id: row.id,
-            name: row.name,
-            abbreviation: row.abbreviation
-        };
+    if (errors.length === 0) {
+        errors.push(...await checkReferences(db, collection, doc));
     }
-    if (collection === 'departments') {
-        return {
-            id: row.id,
-            name: row.name
-        };
+    return { doc, errors };
+}
+
+function validationFailed(res, fields) {
+    return res.status(400).json({ error: 'Validation failed', fields });
+}
+
+// Helper: Answer a request that failed with `err`. Unique and foreign key
+// violations name the offending fields and values the database can't take
+// (data exceptions, SQLSTATE class 22) are a 400; anything else is logged as
+// `message` and answered with a generic 500, so database errors stay out of
+// responses. A response that has already started is cut off instead.
+function sendError(req, res, err, message) {
+    const toField = column => column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (!res.headersSent && typeof err.code === 'string' && err.code.startsWith('22')) {
+        return validationFailed(res, [{ field: err.column ? toField(err.column) : '', message: 'has a value that is not valid' }]);
     }
-    if (collection === 'settings') {
-        return {
-            id: row.id,
-            logoUrl: row.logo_url,
-            weekStartDay: row.week_start_day,
-            remoteDbUrl: row.remote_db_url,
-            enableScreenSaver: row.enable_screen_saver,
-            kioskLocationId: row.kiosk_location_id,
-            clockFormat: row.clock_format,
-            allowEmployeePhotoUpload: row.allow_employee_photo_upload,
-            timeoutStatus: row.timeout_status,
-            timeoutTimecard: row.timeout_timecard,
-            timeoutConfirmation: row.timeout_confirmation,
-            timeoutAdminDashboard: row.timeout_admin_dashboard,
-            timeoutAdminLogin: row.timeout_admin_login
-        };
+    const key = /^Key \(([^)]+)\)=/.exec(err.detail || '');
+    if (key && !res.headersSent && (err.code === '23505' || err.code === '23503')) {
+        const fields = key[1].split(', ').map(toField);
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Already exists', fields: fields.map(field => ({ field, message: 'is already in use' })) });
+        }
+        if (/still referenced/.test(err.detail)) {
+            return res.status(409).json({ error: 'Document is still referenced', fields: fields.map(field => ({ field, message: 'is still referenced' })) });
+        }
+        return validationFailed(res, fields.map(field => ({ field, message: "refers to a document that doesn't exist" })));
     }
-    return row;
+    req.log.error(message, { err });
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Internal server error' });
+}
+
+// Helper: Insert or update a validated document by id, returning the stored row.
+// `db` may be the pool or a checked-out client (for use inside a transaction).
+// `deviceId` is recorded on new time records; updates keep the original device.
+// PINs are not part of the schema, they only change through PUT /employees/:id/pin.
+// `extra` sets server-managed columns, e.g. { correction_request_id }.
+async function upsertDocument(db, collection, doc, { deviceId = null, upsert = true, extra = {} } = {}) {
+    const insertOnly = collection === 'timerecords' ? { device_id: deviceId } : {};
+    const { text, values } = writeQuery(collection, doc, { upsert, insertOnly, extra });
+    const result = await db.query(text, values);
+    return result.rows[0];
 }
 
 // Authentication Middleware
-const authMiddleware = (req, res, next) => {
+// Accepts, in order: the SERVER_SECRET (acts as owner), a kiosk's device token
+// (see /devices) or an admin session token (see /auth/login). Sets `req.auth`
+// to { role, locationIds, departmentIds }, plus `req.device` or `req.user`.
+const authMiddleware = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1];
 
-    const expectedToken = process.env.SERVER_SECRET;
-
     if (!token) {
         return res.status(401).json({ error: 'Unauthorized: No token provided' });
     }
 
-    if (expectedToken && token !== expectedToken) {
-        return res.status(403).json({ error: 'Forbidden: Invalid token' });
+    const serverSecret = process.env.SERVER_SECRET;
+    if (serverSecret && safeEqual(token, serverSecret)) {
+        req.auth = { role: 'owner', locationIds: [], departmentIds: [] };
+        return next();
+    }
+
+    try {
+        const tokenHash = hashToken(token);
+
+        const deviceResult = await pool.query(
+            'SELECT * FROM devices WHERE token_hash = $1 AND revoked_at IS NULL',
+            [tokenHash]
+        );
+        if (deviceResult.rows.length > 0) {
+            req.device = deviceResult.rows[0];
+            req.auth = { role: 'kiosk', locationIds: [], departmentIds: [] };
+
+            // Best effort, at most once a minute per device
+            pool.query(
+                `UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+                [req.device.id]
+            ).catch(err => req.log.error('Device last-seen update error', { err }));
+
+            return next();
+        }
+
+        const sessionResult = await pool.query(
+            `SELECT u.* FROM admin_sessions s
+             JOIN admin_users u ON u.id = s.user_id
+             WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP AND u.disabled = false`,
+            [tokenHash]
+        );
+        if (sessionResult.rows.length > 0) {
+            req.user = sessionResult.rows[0];
+            req.auth = { role: req.user.role, locationIds: req.user.location_ids, departmentIds: req.user.department_ids };
+            return next();
+        }
+
+        res.status(403).json({ error: 'Forbidden: Invalid token' });
+    } catch (err) {
+        sendError(req, res, err, 'Auth error');
+    }
+};
+
+// Route guard: caller must have one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.auth.role)) {
+        return res.status(403).json({ error: 'Forbidden: Insufficient role' });
     }
+    next();
+};
 
+// Route guard: caller's role must allow `action` ('read', 'write' or 'delete')
+// on `fixedCollection`, or on the :collection route parameter. Unknown
+// collections fall through so the handler can answer 404.
+const requirePermission = (action, fixedCollection) => (req, res, next) => {
+    const collection = fixedCollection || req.params.collection;
+    if (validCollections.includes(collection) && !can(req.auth.role, action, collection)) {
+        return res.status(403).json({ error: `Forbidden: ${req.auth.role} may not ${action} ${collection}` });
+    }
     next();
 };
 
+// Helper: SQL condition restricting a manager to their assigned locations and
+// departments, or null if the caller sees the whole collection.
+function scopeFilter(req, collection, firstParam) {
+    if (!isScopedRole(req.auth.role)) return null;
+    return scopeCondition(collection, req.auth, firstParam);
+}
+
+// Helper: True if document `id` exists and lies outside the caller's scope
+async function isOutOfScope(db, req, collection, id) {
+    const filter = scopeFilter(req, collection, 2);
+    if (!filter || !id) return false;
+
+    const result = await db.query(
+        `SELECT 1 FROM ${collection} WHERE id = $1 AND NOT ${filter.sql}`,
+        [id, ...filter.values]
+    );
+    return result.rows.length > 0;
+}
+
+// Longest X-Change-Reason kept in the audit log; longer ones are cut off
+const MAX_CHANGE_REASON_LENGTH = 500;
+
+// Helper: Who is making the request, as { type, id }. SERVER_SECRET callers
+// are 'owner' with no id.
+function actorOf(req) {
+    if (req.device) return { type: 'device', id: req.device.id };
+    if (req.user) return { type: 'user', id: req.user.id };
+    return { type: 'owner', id: null };
+}
+
+// Helper: Tell the audit triggers who is making the changes in the current
+// transaction. Clients may explain a change in the X-Change-Reason header.
+async function setAuditContext(client, req) {
+    const actor = actorOf(req);
+    const reason = req.get('X-Change-Reason') || '';
+
+    await client.query(
+        `SELECT set_config('timekiosk.audit_actor_type', $1, true), set_config('timekiosk.audit_actor_id', $2, true),
+                set_config('timekiosk.audit_ip', $3, true), set_config('timekiosk.audit_reason', $4, true)`,
+        [actor.type, actor.id || '', req.ip || '', reason.slice(0, MAX_CHANGE_REASON_LENGTH)]
+    );
+}
+
+// Helper: Run a write in a transaction. For scoped callers the document must be
+// inside their scope both before and after the write; otherwise it is rolled
+// back and `{ forbidden: true }` returned. `write(client)` returns the new row.
+async function scopedWrite(req, collection, id, write) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await setAuditContext(client, req);
+
+        if (await isOutOfScope(client, req, collection, id)) {
+            await client.query('ROLLBACK');
+            return { forbidden: true };
+        }
+
+        const row = await write(client);
+
+        if (row && await isOutOfScope(client, req, collection, row.id)) {
+            await client.query('ROLLBACK');
+            return { forbidden: true };
+        }
+
+        await client.query('COMMIT');
+        return { row };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Helper: A kiosk assigned to a location may only record punches there.
+// Returns the data to store (locationId defaulted to the kiosk's), or null
+// if the write is outside the device's location.
+async function scopeToDevice(db, device, collection, id, data) {
+    if (!device || !device.kiosk_location_id || collection !== 'timerecords') {
+        return data;
+    }
+
+    const locationId = data.locationId ?? device.kiosk_location_id;
+    if (locationId !== device.kiosk_location_id) {
+        return null;
+    }
+
+    const existing = await db.query('SELECT location_id FROM timerecords WHERE id = $1', [id]);
+    const existingLocationId = existing.rows[0] && existing.rows[0].location_id;
+    if (existingLocationId && existingLocationId !== device.kiosk_location_id) {
+        return null;
+    }
+
+    return { ...data, locationId };
+}
+
 // Valid collections
-const validCollections = ['employees', 'timerecords', 'locations', 'departments', 'settings'];
+// correction_requests is read-only through the generic routes (see lib/permissions.js)
+const validCollections = ['employees', 'timerecords', 'locations', 'departments', 'settings', 'correction_requests'];
 
-// Health check (no auth required)
+// Health checks (no auth required). / and /healthz say the process is up;
+// /readyz whether it can serve: the database answers and no migrations are
+// pending. It fails while shutting down, so load balancers stop sending work.
 app.get('/', (req, res) => {
-    res.json({ status: 'TimeKiosk Sync Server Running (PostgreSQL)' });
+    res.json({ status: 'TimeKiosk Sync Server Running', database: 'PostgreSQL' });
+});
+
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+const READINESS_TIMEOUT_MS = 2000;
+// Latest migration this server knows of, set once startup has migrated
+let expectedSchemaVersion = null;
+
+app.get('/readyz', async (req, res) => {
+    const checks = { database: 'ok', migrations: 'ok' };
+    if (shuttingDown) {
+        return res.status(503).json({ status: 'shutting down', checks });
+    }
+
+    let timer;
+    try {
+        const result = await Promise.race([
+            pool.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations'),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No answer within ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+            })
+        ]);
+        if (expectedSchemaVersion === null) {
+            checks.migrations = 'not yet checked';
+        } else if (result.rows[0].version < expectedSchemaVersion) {
+            checks.migrations = `at ${result.rows[0].version}, expected ${expectedSchemaVersion}`;
+        }
+    } catch (err) {
+        req.log.warn('Readiness check failed', { err });
+        checks.database = 'unavailable';
+        checks.migrations = 'unknown';
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const ready = checks.database === 'ok' && checks.migrations === 'ok';
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers send it as a bearer token
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !safeEqual(req.get('Authorization') || '', `Bearer ${token}`)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics(METRICS));
 });
 
 // Verify Auth
 app.get('/verify', authMiddleware, (req, res) => {
-    res.json({ ok: true, status: 'Authorized' });
+    res.json({
+        ok: true,
+        status: 'Authorized',
+        role: req.auth.role,
+        device: req.device ? deviceToApi(req.device) : null,
+        user: req.user ? adminUserToApi(req.user) : null
+    });
 });
 
 // Server Time (Authenticated or Public? Public is better for sync)
@@ -281,195 +520,2474 @@ app.get('/time', (req, res) => {
     res.json({ time: new Date().toISOString() });
 });
 
-// GET All
-app.get('/:collection', authMiddleware, async (req, res) => {
+// Replication batch sizes (RxDB pull handler)
+const DEFAULT_SYNC_BATCH_SIZE = 100;
+const MAX_SYNC_BATCH_SIZE = 1000;
+
+// Helper: Convert DB row to an RxDB replication document (tombstones included)
+function dbToSyncDoc(row, collection) {
+    return { ...dbToApi(row, collection), _deleted: Boolean(row._deleted) };
+}
+
+// Helper: Mark a document deleted. The row stays as a tombstone so syncing
+// clients learn about the delete and the data can still be restored.
+async function softDeleteDocument(db, collection, id) {
+    const result = await db.query(
+        `UPDATE ${collection}
+         SET _deleted = true, deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND _deleted = false
+         RETURNING *`,
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+// Helper: Build the (updated_at, id) checkpoint for a pulled row. updated_at is
+// read as text so the checkpoint keeps Postgres' microsecond precision.
+function rowToCheckpoint(row) {
+    return { id: row.id, updatedAt: row.checkpoint_updated_at };
+}
+
+// Helper: Fetch the next batch of documents changed after `checkpoint`,
+// limited to the scope of the requesting caller
+async function pullDocuments(db, collection, checkpoint, batchSize, req) {
+    const values = [];
+    const conditions = [];
+    if (checkpoint) {
+        conditions.push('(updated_at, id) > ($1::timestamp, $2)');
+        values.push(checkpoint.updatedAt, String(checkpoint.id ?? ''));
+    }
+    const filter = scopeFilter(req, collection, values.length + 1);
+    if (filter) {
+        conditions.push(filter.sql);
+        values.push(...filter.values);
+    }
+    values.push(batchSize);
+
+    const result = await db.query(
+        `SELECT *, to_char(updated_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS checkpoint_updated_at
+         FROM ${collection} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY updated_at, id
+         LIMIT $${values.length}`,
+        values
+    );
+
+    const lastRow = result.rows[result.rows.length - 1];
+    return {
+        documents: collection === 'settings' && req.device
+            ? await kioskSettingsDocuments(db, req.device, result.rows)
+            : result.rows.map(row => dbToSyncDoc(row, collection)),
+        checkpoint: lastRow ? rowToCheckpoint(lastRow) : checkpoint
+    };
+}
+
+// Helper: Checkpoint of the most recently changed document (null if empty)
+async function getHeadCheckpoint(db, collection) {
+    const result = await db.query(
+        `SELECT id, to_char(updated_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS checkpoint_updated_at
+         FROM ${collection}
+         ORDER BY updated_at DESC, id DESC
+         LIMIT 1`
+    );
+    return result.rows[0] ? rowToCheckpoint(result.rows[0]) : null;
+}
+
+function isValidCheckpoint(checkpoint) {
+    return Boolean(checkpoint) && typeof checkpoint.updatedAt === 'string' && !Number.isNaN(Date.parse(checkpoint.updatedAt));
+}
+
+// Sync Pull: documents changed since the given checkpoint
+app.post('/sync/:collection/pull', authMiddleware, requirePermission('read'), async (req, res) => {
     const { collection } = req.params;
     if (!validCollections.includes(collection)) {
         return res.status(404).json({ error: 'Collection not found' });
     }
 
+    const body = req.body || {};
+    const checkpoint = body.checkpoint || null;
+    const requestedBatchSize = parseInt(body.batchSize ?? req.query.batchSize, 10);
+    const batchSize = Math.min(
+        Number.isInteger(requestedBatchSize) && requestedBatchSize > 0 ? requestedBatchSize : DEFAULT_SYNC_BATCH_SIZE,
+        MAX_SYNC_BATCH_SIZE
+    );
+
+    if (checkpoint && !isValidCheckpoint(checkpoint)) {
+        return res.status(400).json({ error: 'Invalid checkpoint' });
+    }
+
     try {
-        const result = await pool.query(`SELECT * FROM ${collection}`);
-        res.json(result.rows.map(row => dbToApi(row, collection)));
+        const result = await pullDocuments(pool, collection, checkpoint, batchSize, req);
+        syncDocuments.inc({ collection, direction: 'pull' }, result.documents.length);
+        res.json(result);
     } catch (err) {
-        console.error('GET all error:', err);
-        res.status(500).json({ error: err.message });
+        sendError(req, res, err, 'Sync pull error');
     }
 });
 
-// GET One
-app.get('/:collection/:id', authMiddleware, async (req, res) => {
-    const { collection, id } = req.params;
+// Sync Push: apply client writes, returning the master state of any conflicts
+app.post('/sync/:collection/push', authMiddleware, requirePermission('write'), async (req, res) => {
+    const { collection } = req.params;
     if (!validCollections.includes(collection)) {
         return res.status(404).json({ error: 'Collection not found' });
     }
 
+    const changeRows = req.body;
+    if (!Array.isArray(changeRows) || changeRows.some(row => !row || !row.newDocumentState || !row.newDocumentState.id)) {
+        return res.status(400).json({ error: 'Expected an array of { newDocumentState, assumedMasterState } rows' });
+    }
+
+    let client;
     try {
-        const result = await pool.query(`SELECT * FROM ${collection} WHERE id = $1`, [id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Document not found' });
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await setAuditContext(client, req);
+
+        const conflicts = [];
+        const invalid = [];
+        // [previous row, stored row] of the time records written, for the punch counter
+        const written = [];
+        for (const { newDocumentState, assumedMasterState } of changeRows) {
+            const { id } = newDocumentState;
+            const current = await client.query(`SELECT * FROM ${collection} WHERE id = $1 FOR UPDATE`, [id]);
+            const masterRow = current.rows[0];
+
+            // The client's write is only accepted if it was based on the current server copy
+            if (masterRow) {
+                const assumedUpdatedAt = assumedMasterState && Date.parse(assumedMasterState.updatedAt);
+                if (!assumedUpdatedAt || assumedUpdatedAt !== masterRow.updated_at.getTime()) {
+                    conflicts.push(dbToSyncDoc(masterRow, collection));
+                    continue;
+                }
+            }
+
+            const doc = await scopeToDevice(client, req.device, collection, id, newDocumentState);
+            if (!doc) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'Forbidden: Device is not assigned to this location' });
+            }
+            if (doc._deleted && !can(req.auth.role, 'delete', collection)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: `Forbidden: ${req.auth.role} may not delete ${collection}` });
+            }
+            if (await isOutOfScope(client, req, collection, id)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+            }
+
+            if (doc._deleted) {
+                await softDeleteDocument(client, collection, id);
+            } else {
+                const { doc: valid, errors } = await validateInput(client, collection, doc, { id });
+                if (errors.length > 0) {
+                    invalid.push(...errors.map(error => ({ documentId: id, ...error })));
+                    continue;
+                }
+                const stored = await upsertDocument(client, collection, valid, { deviceId: req.device && req.device.id });
+                written.push([masterRow, stored]);
+                if (await isOutOfScope(client, req, collection, id)) {
+                    await client.query('ROLLBACK');
+                    return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+                }
+            }
+        }
+
+        // One invalid document rejects the whole batch
+        if (invalid.length > 0) {
+            await client.query('ROLLBACK');
+            return validationFailed(res, invalid);
+        }
+
+        await client.query('COMMIT');
+        syncDocuments.inc({ collection, direction: 'push' }, changeRows.length - conflicts.length);
+        syncConflicts.inc({ collection }, conflicts.length);
+        if (collection === 'timerecords') {
+            for (const [before, after] of written) countPunches(before, after);
         }
-        res.json(dbToApi(result.rows[0], collection));
+        res.json(conflicts);
     } catch (err) {
-        console.error('GET one error:', err);
-        res.status(500).json({ error: err.message });
+        await client?.query('ROLLBACK').catch(() => {});
+        sendError(req, res, err, 'Sync push error');
+    } finally {
+        client?.release();
     }
 });
 
-// POST (Create)
-app.post('/:collection', authMiddleware, async (req, res) => {
+// Live change stream settings
+const SYNC_STREAM_HEARTBEAT_MS = parseInt(process.env.SYNC_STREAM_HEARTBEAT_MS, 10) || 25000;
+const SYNC_STREAM_RETRY_MS = 5000;
+const changeFeed = new ChangeFeed(pool);
+const streamConnections = new Set();
+
+// SSE event ids carry the stream's checkpoint so a reconnecting client can
+// resume from Last-Event-ID
+function encodeEventId(checkpoint) {
+    return Buffer.from(JSON.stringify(checkpoint)).toString('base64url');
+}
+
+function decodeEventId(eventId) {
+    if (!eventId) return null;
+    try {
+        const checkpoint = JSON.parse(Buffer.from(eventId, 'base64url').toString('utf8'));
+        return isValidCheckpoint(checkpoint) ? checkpoint : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Sync Stream: Server-Sent Events carrying { documents, checkpoint } batches or "RESYNC"
+app.get('/sync/:collection/stream', authMiddleware, requirePermission('read'), async (req, res) => {
     const { collection } = req.params;
     if (!validCollections.includes(collection)) {
         return res.status(404).json({ error: 'Collection not found' });
     }
 
-    const data = req.body;
+    const lastEventId = req.get('Last-Event-ID');
+    const resumeCheckpoint = decodeEventId(lastEventId);
+
+    let checkpoint;
+    try {
+        checkpoint = resumeCheckpoint || await getHeadCheckpoint(pool, collection);
+    } catch (err) {
+        return sendError(req, res, err, 'Sync stream error');
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${SYNC_STREAM_RETRY_MS}\n\n`);
+
+    const connection = { collection, res, checkpoint, busy: false, dirty: false };
+
+    const send = (data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The client re-runs its checkpoint pull; restart the stream from the current head
+    const resync = async () => {
+        connection.checkpoint = await getHeadCheckpoint(pool, collection);
+        send('RESYNC', connection.checkpoint ? encodeEventId(connection.checkpoint) : undefined);
+    };
+
+    // Send everything after the connection's checkpoint. Notifications arriving while
+    // a fetch is running just mark the connection dirty so we fetch once more.
+    const flush = async () => {
+        if (connection.busy) {
+            connection.dirty = true;
+            return;
+        }
+        connection.busy = true;
+        try {
+            do {
+                connection.dirty = false;
+                const batch = await pullDocuments(pool, collection, connection.checkpoint, DEFAULT_SYNC_BATCH_SIZE, req);
+                if (batch.documents.length === 0) break;
+                if (batch.documents.length >= DEFAULT_SYNC_BATCH_SIZE) {
+                    await resync();
+                    break;
+                }
+                connection.checkpoint = batch.checkpoint;
+                send(batch, encodeEventId(batch.checkpoint));
+            } while (connection.dirty);
+        } catch (err) {
+            req.log.error('Sync stream error', { err });
+        } finally {
+            connection.busy = false;
+        }
+    };
+
+    const onChange = (change) => {
+        if (change.collection !== collection) return;
+        // A purged tombstone can't be pulled, so let the client re-check
+        if (change.op === 'DELETE') {
+            resync().catch(err => req.log.error('Sync stream error', { err }));
+        } else {
+            flush();
+        }
+    };
+    const onResync = () => {
+        resync().catch(err => req.log.error('Sync stream error', { err }));
+    };
+
+    changeFeed.on('change', onChange);
+    changeFeed.on('resync', onResync);
+    streamConnections.add(connection);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SYNC_STREAM_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        changeFeed.off('change', onChange);
+        changeFeed.off('resync', onResync);
+        streamConnections.delete(connection);
+    });
+
+    // A client resuming from Last-Event-ID catches up on what it missed; one whose
+    // id we can't read has to start over
+    if (resumeCheckpoint) {
+        flush();
+    } else if (lastEventId) {
+        send('RESYNC', checkpoint ? encodeEventId(checkpoint) : undefined);
+    }
+});
 
+// Device enrollment: an admin issues a one-time code, the kiosk trades it for its own token
+const DEVICE_ENROLLMENT_TTL_MINUTES = parseInt(process.env.DEVICE_ENROLLMENT_TTL_MINUTES, 10) || 60;
+
+// Helper: Convert device row to API format (never exposes the token hash)
+function deviceToApi(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        kioskLocationId: row.kiosk_location_id,
+        lastSeenAt: row.last_seen_at,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at
+    };
+}
+
+// Issue Enrollment Code (admin)
+app.post('/devices/enrollments', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { name, kioskLocationId } = req.body;
+    const code = generateEnrollmentCode();
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO device_enrollments (code_hash, name, kiosk_location_id, expires_at)
+             VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+             RETURNING expires_at`,
+            [hashToken(normalizeEnrollmentCode(code)), name || null, kioskLocationId || null, DEVICE_ENROLLMENT_TTL_MINUTES]
+        );
+        // The plaintext code is only ever shown here
+        res.status(201).json({ code, expiresAt: result.rows[0].expires_at, kioskLocationId: kioskLocationId || null });
+    } catch (err) {
+        sendError(req, res, err, 'Enrollment error');
+    }
+});
+
+// Register Device (no auth, the enrollment code is the credential)
+app.post('/devices/register', async (req, res) => {
+    const { code, name } = req.body;
+    if (!code) {
+        return res.status(400).json({ error: 'Enrollment code is required' });
+    }
+
+    let client;
     try {
-        let query, values;
+        client = await pool.connect();
+        await client.query('BEGIN');
 
-        if (collection === 'employees') {
-            query = `INSERT INTO employees (id, name, pin, image_url, archived, auto_deduct_lunch, location_id, department_id, is_temp, temp_agency)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`;
-            values = [data.id, data.name, data.pin, data.imageUrl, data.archived || false, data.autoDeductLunch || false,
-            data.locationId, data.departmentId, data.isTemp || false, data.tempAgency];
-        } else if (collection === 'timerecords') {
-            query = `INSERT INTO timerecords (id, employee_id, location_id, clock_in, clock_out, breaks)
-                     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`;
-            values = [data.id, data.employeeId, data.locationId, data.clockIn, data.clockOut, JSON.stringify(data.breaks || [])];
-        } else if (collection === 'locations') {
-            query = `INSERT INTO locations (id, name, abbreviation) VALUES ($1, $2, $3) RETURNING *`;
-            values = [data.id, data.name, data.abbreviation];
-        } else if (collection === 'departments') {
-            query = `INSERT INTO departments (id, name) VALUES ($1, $2) RETURNING *`;
-            values = [data.id, data.name];
-        } else if (collection === 'settings') {
-            query = `INSERT INTO settings (
-                id, logo_url, week_start_day, remote_db_url, enable_screen_saver, kiosk_location_id, clock_format, allow_employee_photo_upload,
-                timeout_status, timeout_timecard, timeout_confirmation, timeout_admin_dashboard, timeout_admin_login
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`;
-            values = [
-                data.id, data.logoUrl, data.weekStartDay, data.remoteDbUrl,
-                data.enableScreenSaver, data.kioskLocationId, data.clockFormat, data.allowEmployeePhotoUpload,
-                data.timeoutStatus, data.timeoutTimecard, data.timeoutConfirmation, data.timeoutAdminDashboard, data.timeoutAdminLogin
-            ];
+        const enrollment = await client.query(
+            `SELECT * FROM device_enrollments
+             WHERE code_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             FOR UPDATE`,
+            [hashToken(normalizeEnrollmentCode(code))]
+        );
+        if (enrollment.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Forbidden: Invalid or expired enrollment code' });
         }
+        const { code_hash: codeHash, name: presetName, kiosk_location_id: kioskLocationId } = enrollment.rows[0];
+
+        const token = generateToken();
+        const deviceResult = await client.query(
+            `INSERT INTO devices (id, name, token_hash, kiosk_location_id)
+             VALUES ($1, $2, $3, $4) RETURNING *`,
+            [`DEV-${crypto.randomUUID()}`, presetName || name || 'Kiosk', hashToken(token), kioskLocationId]
+        );
+        const device = deviceResult.rows[0];
 
-        const result = await pool.query(query, values);
-        res.status(201).json(dbToApi(result.rows[0], collection));
+        await client.query(
+            'UPDATE device_enrollments SET used_at = CURRENT_TIMESTAMP, device_id = $2 WHERE code_hash = $1',
+            [codeHash, device.id]
+        );
+
+        await client.query('COMMIT');
+        // The plaintext token is only ever returned here; we store its hash
+        res.status(201).json({ ...deviceToApi(device), token });
     } catch (err) {
-        console.error('POST error:', err);
-        res.status(500).json({ error: err.message });
+        await client?.query('ROLLBACK').catch(() => {});
+        sendError(req, res, err, 'Device registration error');
+    } finally {
+        client?.release();
     }
 });
 
-// PUT (Update/Upsert)
-app.put('/:collection/:id', authMiddleware, async (req, res) => {
-    const { collection, id } = req.params;
-    if (!validCollections.includes(collection)) {
-        return res.status(404).json({ error: 'Collection not found' });
+// List Devices (admin)
+app.get('/devices', authMiddleware, requireRole('owner'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM devices ORDER BY created_at');
+        res.json(result.rows.map(deviceToApi));
+    } catch (err) {
+        sendError(req, res, err, 'GET devices error');
     }
+});
 
-    const data = req.body;
+// Rename / Reassign Device (admin)
+app.put('/devices/:id', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { name, kioskLocationId } = req.body;
 
     try {
-        let query, values;
-
-        if (collection === 'employees') {
-            query = `INSERT INTO employees (id, name, pin, image_url, archived, auto_deduct_lunch, location_id, department_id, is_temp, temp_agency)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                     ON CONFLICT (id) DO UPDATE SET
-                     name = EXCLUDED.name, pin = EXCLUDED.pin, image_url = EXCLUDED.image_url, archived = EXCLUDED.archived,
-                     auto_deduct_lunch = EXCLUDED.auto_deduct_lunch, location_id = EXCLUDED.location_id, department_id = EXCLUDED.department_id,
-                     is_temp = EXCLUDED.is_temp, temp_agency = EXCLUDED.temp_agency, updated_at = CURRENT_TIMESTAMP
-                     RETURNING *`;
-            values = [data.id || id, data.name, data.pin, data.imageUrl, data.archived || false, data.autoDeductLunch || false,
-            data.locationId, data.departmentId, data.isTemp || false, data.tempAgency];
-        } else if (collection === 'timerecords') {
-            query = `INSERT INTO timerecords (id, employee_id, location_id, clock_in, clock_out, breaks)
-                     VALUES ($1, $2, $3, $4, $5, $6)
-                     ON CONFLICT (id) DO UPDATE SET
-                     employee_id = EXCLUDED.employee_id, location_id = EXCLUDED.location_id, clock_in = EXCLUDED.clock_in,
-                     clock_out = EXCLUDED.clock_out, breaks = EXCLUDED.breaks, updated_at = CURRENT_TIMESTAMP
-                     RETURNING *`;
-            values = [data.id || id, data.employeeId, data.locationId, data.clockIn, data.clockOut, JSON.stringify(data.breaks || [])];
-        } else if (collection === 'locations') {
-            query = `INSERT INTO locations (id, name, abbreviation) VALUES ($1, $2, $3)
-                     ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, abbreviation = EXCLUDED.abbreviation
-                     RETURNING *`;
-            values = [data.id || id, data.name, data.abbreviation];
-        } else if (collection === 'departments') {
-            query = `INSERT INTO departments (id, name) VALUES ($1, $2)
-                     ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name
-                     RETURNING *`;
-            values = [data.id || id, data.name];
-        } else if (collection === 'settings') {
-            query = `INSERT INTO settings (
-                id, logo_url, week_start_day, remote_db_url, enable_screen_saver, kiosk_location_id, clock_format, allow_employee_photo_upload,
-                timeout_status, timeout_timecard, timeout_confirmation, timeout_admin_dashboard, timeout_admin_login
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-                     ON CONFLICT (id) DO UPDATE SET 
-                     logo_url = EXCLUDED.logo_url, 
-                     week_start_day = EXCLUDED.week_start_day,
-                     remote_db_url = EXCLUDED.remote_db_url,
-                     enable_screen_saver = EXCLUDED.enable_screen_saver,
-                     kiosk_location_id = EXCLUDED.kiosk_location_id,
-                     clock_format = EXCLUDED.clock_format,
-                     allow_employee_photo_upload = EXCLUDED.allow_employee_photo_upload,
-                     timeout_status = EXCLUDED.timeout_status,
-                     timeout_timecard = EXCLUDED.timeout_timecard,
-                     timeout_confirmation = EXCLUDED.timeout_confirmation,
-                     timeout_admin_dashboard = EXCLUDED.timeout_admin_dashboard,
-                     timeout_admin_login = EXCLUDED.timeout_admin_login,
-                     updated_at = CURRENT_TIMESTAMP
-                     RETURNING *`;
-            values = [
-                data.id || id, data.logoUrl, data.weekStartDay, data.remoteDbUrl,
-                data.enableScreenSaver, data.kioskLocationId, data.clockFormat, data.allowEmployeePhotoUpload,
-                data.timeoutStatus, data.timeoutTimecard, data.timeoutConfirmation, data.timeoutAdminDashboard, data.timeoutAdminLogin
-            ];
-        }
-
-        const result = await pool.query(query, values);
-        res.json(dbToApi(result.rows[0], collection));
-    } catch (err) {
-        console.error('PUT error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// DELETE
-app.delete('/:collection/:id', authMiddleware, async (req, res) => {
-    const { collection, id } = req.params;
-    if (!validCollections.includes(collection)) {
-        return res.status(404).json({ error: 'Collection not found' });
+        const result = await pool.query(
+            `UPDATE devices SET
+             name = COALESCE($2, name),
+             kiosk_location_id = CASE WHEN $3::boolean THEN $4 ELSE kiosk_location_id END,
+             updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [req.params.id, name || null, kioskLocationId !== undefined, kioskLocationId || null]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        res.json(deviceToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'PUT device error');
     }
+});
 
+// Revoke Device (admin). Its token stops working immediately.
+app.post('/devices/:id/revoke', authMiddleware, requireRole('owner'), async (req, res) => {
     try {
-        const result = await pool.query(`DELETE FROM ${collection} WHERE id = $1 RETURNING *`, [id]);
+        const result = await pool.query(
+            `UPDATE devices SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [req.params.id]
+        );
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Document not found' });
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        res.json(deviceToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'Revoke device error');
+    }
+});
+
+// Admin sessions
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Helper: Convert admin user row to API format (never exposes the password hash)
+function adminUserToApi(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        locationIds: row.location_ids,
+        departmentIds: row.department_ids,
+        disabled: row.disabled,
+        createdAt: row.created_at
+    };
+}
+
+// Helper: Validate the role and scope fields of an admin user payload
+function validateAdminUser(data, { partial = false } = {}) {
+    if (!partial || data.role !== undefined) {
+        if (!ROLES.includes(data.role)) {
+            return `role must be one of: ${ROLES.join(', ')}`;
+        }
+    }
+    if (!partial || data.password !== undefined) {
+        if (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH) {
+            return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+    }
+    for (const field of ['locationIds', 'departmentIds']) {
+        if (data[field] !== undefined && !(Array.isArray(data[field]) && data[field].every(v => typeof v === 'string'))) {
+            return `${field} must be an array of ids`;
+        }
+    }
+    return null;
+}
+
+// Login: exchange username/password for an expiring session token
+app.post('/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM admin_users WHERE username = $1 AND disabled = false', [username]);
+        const user = result.rows[0];
+
+        // Hash even for unknown users so response time doesn't reveal valid usernames
+        const valid = user
+            ? await verifySecret(password, user.password_hash)
+            : (await hashSecret(password), false);
+        if (!valid) {
+            return res.status(401).json({ error: 'Unauthorized: Invalid username or password' });
         }
+
+        await pool.query('DELETE FROM admin_sessions WHERE expires_at < CURRENT_TIMESTAMP');
+
+        const token = generateToken();
+        const session = await pool.query(
+            `INSERT INTO admin_sessions (token_hash, user_id, expires_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))
+             RETURNING expires_at`,
+            [hashToken(token), user.id, SESSION_TTL_HOURS]
+        );
+
+        res.json({ token, expiresAt: session.rows[0].expires_at, user: adminUserToApi(user) });
+    } catch (err) {
+        sendError(req, res, err, 'Login error');
+    }
+});
+
+// Logout: end the current session
+app.post('/auth/logout', authMiddleware, async (req, res) => {
+    const token = req.headers.authorization.split(' ')[1];
+
+    try {
+        await pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashToken(token)]);
         res.json({ ok: true });
     } catch (err) {
-        console.error('DELETE error:', err);
-        res.status(500).json({ error: err.message });
+        sendError(req, res, err, 'Logout error');
+    }
+});
+
+// List Admin Users (owner)
+app.get('/admin-users', authMiddleware, requireRole('owner'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM admin_users ORDER BY username');
+        res.json(result.rows.map(adminUserToApi));
+    } catch (err) {
+        sendError(req, res, err, 'GET admin users error');
     }
 });
 
-// Initialize DB and start server
-initDB().then(() => {
+// Create Admin User (owner)
+app.post('/admin-users', authMiddleware, requireRole('owner'), async (req, res) => {
+    const data = req.body;
+    const validationError = !data.username ? 'username is required' : validateAdminUser(data);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO admin_users (id, username, password_hash, role, location_ids, department_ids)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [
+                `USR-${crypto.randomUUID()}`, data.username, await hashSecret(data.password), data.role,
+                data.locationIds || [], data.departmentIds || []
+            ]
+        );
+        res.status(201).json(adminUserToApi(result.rows[0]));
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        sendError(req, res, err, 'POST admin user error');
+    }
+});
+
+// Update Admin User (owner). Changing the password, role or disabling the
+// account ends the user's existing sessions.
+app.put('/admin-users/:id', authMiddleware, requireRole('owner'), async (req, res) => {
+    const data = req.body;
+    const validationError = validateAdminUser(data, { partial: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await pool.query(
+            `UPDATE admin_users SET
+             role = COALESCE($2, role),
+             password_hash = COALESCE($3, password_hash),
+             location_ids = COALESCE($4, location_ids),
+             department_ids = COALESCE($5, department_ids),
+             disabled = COALESCE($6, disabled),
+             updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [
+                req.params.id, data.role ?? null, data.password !== undefined ? await hashSecret(data.password) : null,
+                data.locationIds ?? null, data.departmentIds ?? null, typeof data.disabled === 'boolean' ? data.disabled : null
+            ]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Admin user not found' });
+        }
+
+        if (data.password !== undefined || data.role !== undefined || data.disabled === true) {
+            await pool.query('DELETE FROM admin_sessions WHERE user_id = $1', [req.params.id]);
+        }
+        res.json(adminUserToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'PUT admin user error');
+    }
+});
+
+// Punch tokens prove an employee entered their PIN at this kiosk moments ago
+const PUNCH_TOKEN_TTL_SECONDS = parseInt(process.env.PUNCH_TOKEN_TTL_SECONDS, 10) || 120;
+
+function punchTokenKey() {
+    return keyedHash('punch-token', getPinSecret(), 'punch-token');
+}
+
+// Verify PIN: check an employee's PIN (by employee ID, or by PIN alone) and
+// issue a short-lived punch token. Failures count against both the employee
+// and the calling device, with lockout and backoff (see lib/pinLockout.js).
+app.post('/punch/verify', authMiddleware, async (req, res) => {
+    const { employeeId } = req.body;
+    const pin = req.body.pin !== undefined && req.body.pin !== null ? String(req.body.pin) : '';
+    if (!pin) {
+        return res.status(400).json({ error: 'PIN is required' });
+    }
+
+    const callerSubject = req.device ? `device:${req.device.id}` : req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const subjects = employeeId ? [callerSubject, `employee:${employeeId}`] : [callerSubject];
+
+    try {
+        const lockedSeconds = await getLockout(pool, subjects);
+        if (lockedSeconds > 0) {
+            res.set('Retry-After', String(lockedSeconds));
+            punchVerifications.inc({ result: 'locked' });
+            return res.status(429).json({ error: 'Too many failed PIN attempts, try again later', retryAfter: lockedSeconds });
+        }
+
+        const result = employeeId
+            ? await pool.query('SELECT * FROM employees WHERE id = $1 AND archived = false AND _deleted = false', [employeeId])
+            : await pool.query('SELECT * FROM employees WHERE pin_fingerprint = $1 AND archived = false AND _deleted = false', [pinFingerprint(pin)]);
+        const employee = result.rows[0];
+
+        // Hash even without a match so response time doesn't reveal valid employee IDs
+        const valid = employee && employee.pin_hash
+            ? await verifySecret(pin, employee.pin_hash)
+            : (await hashSecret(pin), false);
+
+        if (!valid) {
+            punchVerifications.inc({ result: 'invalid' });
+            const lockoutSeconds = await recordFailure(pool, subjects);
+            if (lockoutSeconds > 0) {
+                res.set('Retry-After', String(lockoutSeconds));
+                return res.status(429).json({ error: 'Too many failed PIN attempts, try again later', retryAfter: lockoutSeconds });
+            }
+            return res.status(401).json({ error: 'Invalid employee or PIN' });
+        }
+
+        await clearFailures(pool, [callerSubject, `employee:${employee.id}`]);
+        punchVerifications.inc({ result: 'ok' });
+
+        const expiresAt = Date.now() + PUNCH_TOKEN_TTL_SECONDS * 1000;
+        const token = signToken(
+            { employeeId: employee.id, deviceId: req.device ? req.device.id : null, exp: expiresAt },
+            punchTokenKey()
+        );
+        res.json({ employeeId: employee.id, name: employee.name, token, expiresAt: new Date(expiresAt).toISOString() });
+    } catch (err) {
+        sendError(req, res, err, 'PIN verify error');
+    }
+});
+
+// Change PIN: the only way to set an existing employee's PIN
+app.put('/employees/:id/pin', authMiddleware, requirePermission('write', 'employees'), async (req, res) => {
+    const { id } = req.params;
+    const pin = req.body.pin !== undefined && req.body.pin !== null ? String(req.body.pin) : undefined;
+    const pinError = validatePin(pin);
+    if (pinError) {
+        return res.status(400).json({ error: pinError });
+    }
+
+    try {
+        const { row, forbidden } = await scopedWrite(req, 'employees', id, (client) => setEmployeePin(client, id, pin));
+        if (forbidden) {
+            return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+        }
+        if (!row) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        // A fresh PIN lifts any lockout on the employee
+        await clearFailures(pool, [`employee:${id}`]);
+        res.json(dbToApi(row, 'employees'));
+    } catch (err) {
+        if (err.constraint === 'idx_employees_pin_fingerprint') {
+            return res.status(409).json({ error: 'PIN is already in use' });
+        }
+        sendError(req, res, err, 'PIN change error');
+    }
+});
+
+// Audit trail. audit_log is filled by database triggers and is read-only here;
+// there is deliberately no route that updates or deletes it. `before`/`after`
+// are the stored rows (snake_case), without PIN columns.
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+function auditToApi(row) {
+    return {
+        id: Number(row.id),
+        collection: row.collection,
+        documentId: row.document_id,
+        action: row.action,
+        before: row.before,
+        after: row.after,
+        actorType: row.actor_type,
+        actorId: row.actor_id,
+        ip: row.ip,
+        reason: row.reason,
+        createdAt: row.created_at
+    };
+}
+
+// Newest first. Page back with ?beforeId=<id of the last entry>.
+app.get('/audit', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    const { collection, documentId, from, to, beforeId } = req.query;
+    if (collection && !validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({ error: `${name} must be a date or timestamp` });
+        }
+    }
+    if (beforeId && !/^\d+$/.test(beforeId)) {
+        return res.status(400).json({ error: 'beforeId must be an audit entry id' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    if (collection) addCondition('collection = ?', collection);
+    if (documentId) addCondition('document_id = ?', documentId);
+    if (from) addCondition('created_at >= ?', from);
+    // A plain date includes that whole day
+    if (to) addCondition(isValidDay(to) ? 'created_at < ?::date + 1' : 'created_at <= ?', to);
+    if (beforeId) addCondition('id < ?', beforeId);
+
+    try {
+        values.push(limit);
+        const result = await pool.query(
+            `SELECT * FROM audit_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY id DESC LIMIT $${values.length}`,
+            values
+        );
+        res.json(result.rows.map(auditToApi));
+    } catch (err) {
+        sendError(req, res, err, 'Audit query error');
+    }
+});
+
+// Timesheet report. Overtime thresholds and the lunch deduction come from the
+// environment; the overtime thresholds can be overridden per request.
+function parseNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+const TIMESHEET_POLICY = {
+    dailyOvertimeHours: parseNumber(process.env.OVERTIME_DAILY_HOURS, DEFAULT_TIMESHEET_POLICY.dailyOvertimeHours),
+    weeklyOvertimeHours: parseNumber(process.env.OVERTIME_WEEKLY_HOURS, DEFAULT_TIMESHEET_POLICY.weeklyOvertimeHours),
+    lunchDeductionMinutes: parseNumber(process.env.LUNCH_DEDUCTION_MINUTES, DEFAULT_TIMESHEET_POLICY.lunchDeductionMinutes),
+    lunchDeductionAfterHours: parseNumber(process.env.LUNCH_DEDUCTION_AFTER_HOURS, DEFAULT_TIMESHEET_POLICY.lunchDeductionAfterHours)
+};
+const MAX_REPORT_DAYS = 366;
+
+function isValidDay(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Helper: Error message for an invalid from/to period (inclusive dates), or null
+function validatePeriod(from, to) {
+    if (!isValidDay(from) || !isValidDay(to)) {
+        return 'from and to are required dates (YYYY-MM-DD)';
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (days < 1 || days > MAX_REPORT_DAYS) {
+        return `to must be on or after from, at most ${MAX_REPORT_DAYS} days apart`;
+    }
+    return null;
+}
+
+// Helper: Build the timesheet report for a validated period, limited to the
+// caller's scope
+async function loadTimesheetReport(req, { from, to, locationId, departmentId, policy }) {
+    const { row: settings } = await effectiveSettings(pool, { locationId: locationId || null });
+    const weekStartDay = settings.week_start_day;
+
+    // `to` is inclusive: shifts clocked in before the following midnight count.
+    // Loading starts with the week `from` falls in, so weekly overtime sees the
+    // whole week. Days are local to each record's location; the outer bounds,
+    // wide enough for any UTC offset, let the clock_in index narrow the scan.
+    const loadFrom = weekStartKey(from, weekStartDay);
+    const toExclusive = new Date(Date.parse(to) + 86400000).toISOString().slice(0, 10);
+    const zone = 'COALESCE((SELECT timezone FROM locations WHERE locations.id = timerecords.location_id), $3)';
+    const conditions = [
+        '_deleted = false',
+        'clock_in >= $1::date - 2',
+        'clock_in < $2::date + 2',
+        `clock_in >= $1::date::timestamp AT TIME ZONE ${zone}`,
+        `clock_in < $2::date::timestamp AT TIME ZONE ${zone}`
+    ];
+    const values = [loadFrom, toExclusive, DEFAULT_TIMEZONE];
+
+    if (locationId) {
+        values.push(locationId);
+        conditions.push(`location_id = $${values.length}`);
+    }
+    if (departmentId) {
+        values.push(departmentId);
+        conditions.push(`employee_id IN (SELECT id FROM employees WHERE department_id = $${values.length})`);
+    }
+    const filter = scopeFilter(req, 'timerecords', values.length + 1);
+    if (filter) {
+        conditions.push(filter.sql);
+        values.push(...filter.values);
+    }
+
+    const records = await pool.query(
+        `SELECT *, ${zone} AS timezone FROM timerecords WHERE ${conditions.join(' AND ')} ORDER BY clock_in ASC, id ASC`,
+        values
+    );
+    const employeeIds = [...new Set(records.rows.map(r => r.employee_id))];
+    // Deleted employees still have hours to pay
+    const employees = await pool.query('SELECT * FROM employees WHERE id = ANY($1::text[]) ORDER BY name ASC, id ASC', [employeeIds]);
+
+    const report = buildTimesheetReport({
+        employees: employees.rows.map(row => dbToApi(row, 'employees')),
+        records: records.rows.map(row => ({
+            id: row.id,
+            employeeId: row.employee_id,
+            locationId: row.location_id,
+            clockIn: row.clock_in,
+            clockOut: row.clock_out,
+            breaks: row.breaks,
+            timeZone: row.timezone
+        })),
+        weekStartDay,
+        policy,
+        from,
+        to
+    });
+
+    return { weekStartDay, ...report };
+}
+
+app.get('/reports/timesheets', authMiddleware, requireRole('owner', 'payroll', 'manager'), async (req, res) => {
+    const { from, to, locationId, departmentId } = req.query;
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+
+    const policy = {
+        ...TIMESHEET_POLICY,
+        dailyOvertimeHours: parseNumber(req.query.dailyOvertimeHours, TIMESHEET_POLICY.dailyOvertimeHours),
+        weeklyOvertimeHours: parseNumber(req.query.weeklyOvertimeHours, TIMESHEET_POLICY.weeklyOvertimeHours)
+    };
+
+    try {
+        const { weekStartDay, ...report } = await loadTimesheetReport(req, { from, to, locationId, departmentId, policy });
+        res.json({ from, to, locationId: locationId || null, departmentId: departmentId || null, weekStartDay, policy, ...report });
+    } catch (err) {
+        sendError(req, res, err, 'Timesheet report error');
+    }
+});
+
+// Payroll export. Formats are the formatters in lib/payrollExport.js; each has
+// a field mapping stored in payroll_export_mappings. Once a period is locked,
+// the first export of it in each format is stored and replayed byte for byte.
+function payrollExportToApi(row) {
+    return {
+        id: row.id,
+        format: row.format,
+        from: row.period_from,
+        to: row.period_to,
+        locked: row.locked,
+        checksum: row.checksum,
+        byteSize: row.byte_size,
+        employeeCount: row.employee_count,
+        exportedBy: row.exported_by,
+        createdAt: row.created_at
+    };
+}
+
+function periodLockToApi(row) {
+    return { from: row.period_from, to: row.period_to, lockedBy: row.locked_by, lockedAt: row.locked_at };
+}
+
+function callerName(req) {
+    if (req.user) return req.user.username;
+    if (req.device) return req.device.id;
+    return 'owner';
+}
+
+async function getPayrollMapping(db, format) {
+    const result = await db.query('SELECT mapping FROM payroll_export_mappings WHERE format = $1', [format]);
+    return resolveMapping(format, result.rows.length ? result.rows[0].mapping : {});
+}
+
+// DATE columns come back as local-midnight Dates; compare periods as text
+const PERIOD_COLUMNS = `to_char(period_from, 'YYYY-MM-DD') AS period_from, to_char(period_to, 'YYYY-MM-DD') AS period_to`;
+
+app.get('/payroll/formats', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    try {
+        const formats = [];
+        for (const [format, formatter] of Object.entries(PAYROLL_FORMATTERS)) {
+            formats.push({
+                format,
+                description: formatter.description,
+                extension: formatter.extension,
+                mapping: await getPayrollMapping(pool, format)
+            });
+        }
+        res.json(formats);
+    } catch (err) {
+        sendError(req, res, err, 'Payroll formats error');
+    }
+});
+
+app.put('/payroll/formats/:format/mapping', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    const { format } = req.params;
+    if (!PAYROLL_FORMATTERS[format]) {
+        return res.status(404).json({ error: 'Export format not found' });
+    }
+    const mappingError = validateMapping(format, req.body);
+    if (mappingError) {
+        return res.status(400).json({ error: mappingError });
+    }
+
+    try {
+        await pool.query(
+            `INSERT INTO payroll_export_mappings (format, mapping) VALUES ($1, $2)
+             ON CONFLICT (format) DO UPDATE SET mapping = EXCLUDED.mapping, updated_at = CURRENT_TIMESTAMP`,
+            [format, JSON.stringify(req.body)]
+        );
+        res.json({ format, mapping: resolveMapping(format, req.body) });
+    } catch (err) {
+        sendError(req, res, err, 'Payroll mapping error');
+    }
+});
+
+app.get('/payroll/periods', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    try {
+        const result = await pool.query(`SELECT ${PERIOD_COLUMNS}, locked_by, locked_at FROM payroll_period_locks ORDER BY period_from DESC`);
+        res.json(result.rows.map(periodLockToApi));
+    } catch (err) {
+        sendError(req, res, err, 'Payroll periods error');
+    }
+});
+
+app.post('/payroll/periods/lock', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    const { from, to } = req.body;
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO payroll_period_locks (period_from, period_to, locked_by) VALUES ($1, $2, $3)
+             ON CONFLICT (period_from, period_to) DO NOTHING
+             RETURNING ${PERIOD_COLUMNS}, locked_by, locked_at`,
+            [from, to, callerName(req)]
+        );
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'Period is already locked' });
+        }
+        res.status(201).json(periodLockToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'Payroll lock error');
+    }
+});
+
+// Unlocking lets the period be exported from current data again
+app.post('/payroll/periods/unlock', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { from, to } = req.body;
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM payroll_period_locks WHERE period_from = $1 AND period_to = $2 RETURNING period_from',
+            [from, to]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Period is not locked' });
+        }
+        res.json({ from, to, unlocked: true });
+    } catch (err) {
+        sendError(req, res, err, 'Payroll unlock error');
+    }
+});
+
+app.get('/payroll/exports', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, format, ${PERIOD_COLUMNS}, locked, checksum, byte_size, employee_count, exported_by, created_at
+             FROM payroll_exports ORDER BY created_at DESC`
+        );
+        res.json(result.rows.map(payrollExportToApi));
+    } catch (err) {
+        sendError(req, res, err, 'Payroll exports error');
+    }
+});
+
+// Export a pay period. Open or overlapping punches would leave hours out of
+// the file, so they must be resolved first unless ?allowFlagged=true.
+app.get('/payroll/export', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    const { format, from, to } = req.query;
+    const formatter = PAYROLL_FORMATTERS[format];
+    if (!formatter) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(PAYROLL_FORMATTERS).join(', ')}` });
+    }
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        // One export per format and period at a time, so a locked period
+        // stores exactly one file
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payroll_export:${format}:${from}:${to}`]);
+
+        const lock = await client.query(
+            `SELECT locked_at FROM payroll_period_locks WHERE period_from = $1 AND period_to = $2`,
+            [from, to]
+        );
+        const locked = lock.rows.length > 0;
+
+        let stored = null;
+        if (locked) {
+            const result = await client.query(
+                `SELECT content, checksum, byte_size, employee_count FROM payroll_exports
+                 WHERE format = $1 AND period_from = $2 AND period_to = $3 AND locked AND content IS NOT NULL
+                   AND created_at >= $4
+                 ORDER BY created_at ASC LIMIT 1`,
+                [format, from, to, lock.rows[0].locked_at]
+            );
+            stored = result.rows[0] || null;
+        }
+
+        const recordExport = ({ checksum, byteSize, employeeCount, content }) => client.query(
+            `INSERT INTO payroll_exports (id, format, period_from, period_to, locked, checksum, byte_size, employee_count, content, exported_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [`PEX-${crypto.randomUUID()}`, format, from, to, locked, checksum, byteSize, employeeCount, content, callerName(req)]
+        );
+
+        const setFileHeaders = () => {
+            res.set('Content-Type', formatter.contentType);
+            res.set('Content-Disposition', `attachment; filename="payroll-${format}-${from}-${to}.${formatter.extension}"`);
+        };
+
+        if (stored) {
+            await recordExport({
+                checksum: stored.checksum, byteSize: stored.byte_size, employeeCount: stored.employee_count, content: null
+            });
+            await client.query('COMMIT');
+            setFileHeaders();
+            return res.send(stored.content);
+        }
+
+        const report = await loadTimesheetReport(req, { from, to, policy: TIMESHEET_POLICY });
+        const flagged = report.employees.flatMap(e => e.flagged.map(f => ({ employeeId: e.employeeId, ...f })));
+        if (flagged.length > 0 && req.query.allowFlagged !== 'true') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Period has open or overlapping punches', flagged });
+        }
+
+        // Stream the file as it's generated; the first export of a locked
+        // period is also kept for replay
+        const mapping = await getPayrollMapping(client, format);
+        const hash = crypto.createHash('sha256');
+        const chunks = locked ? [] : null;
+        let byteSize = 0;
+        setFileHeaders();
+        for (const line of formatter.lines(report, mapping, { from, to })) {
+            hash.update(line);
+            byteSize += Buffer.byteLength(line);
+            if (chunks) chunks.push(line);
+            if (!res.write(line)) await once(res, 'drain');
+        }
+
+        await recordExport({
+            checksum: hash.digest('hex'), byteSize, employeeCount: payableEmployees(report, mapping).length, content: chunks ? chunks.join('') : null
+        });
+        await client.query('COMMIT');
+        res.end();
+    } catch (err) {
+        await client?.query('ROLLBACK').catch(() => {});
+        sendError(req, res, err, 'Payroll export error');
+    } finally {
+        client?.release();
+    }
+});
+
+// Exceptions: anomalies found by the periodic scan (see lib/anomalies.js).
+// Managers see and handle those in their locations/departments; the policy
+// defaults come from the environment, with per-location overrides.
+const ANOMALY_POLICY = {
+    openShiftHours: parseNumber(process.env.ANOMALY_OPEN_SHIFT_HOURS, DEFAULT_ANOMALY_POLICY.openShiftHours),
+    longShiftHours: parseNumber(process.env.ANOMALY_LONG_SHIFT_HOURS, DEFAULT_ANOMALY_POLICY.longShiftHours),
+    shortShiftMinutes: parseNumber(process.env.ANOMALY_SHORT_SHIFT_MINUTES, DEFAULT_ANOMALY_POLICY.shortShiftMinutes),
+    autoClose: process.env.ANOMALY_AUTO_CLOSE === 'true',
+    autoCloseShiftHours: parseNumber(process.env.ANOMALY_AUTO_CLOSE_SHIFT_HOURS, DEFAULT_ANOMALY_POLICY.autoCloseShiftHours)
+};
+const ANOMALY_LOOKBACK_DAYS = parseInt(process.env.ANOMALY_LOOKBACK_DAYS, 10) || 14;
+const DEFAULT_EXCEPTION_LIMIT = 100;
+const MAX_EXCEPTION_LIMIT = 1000;
+const MAX_EXCEPTION_NOTE_LENGTH = 1000;
+
+function exceptionToApi(row) {
+    return {
+        id: Number(row.id),
+        kind: row.kind,
+        status: row.status,
+        timerecordId: row.timerecord_id,
+        relatedTimerecordId: row.related_timerecord_id,
+        employeeId: row.employee_id,
+        locationId: row.location_id,
+        details: row.details,
+        note: row.note,
+        detectedAt: row.detected_at,
+        updatedAt: row.updated_at,
+        resolvedAt: row.resolved_at,
+        resolvedByType: row.resolved_by_type,
+        resolvedById: row.resolved_by_id
+    };
+}
+
+function anomalyPolicyToApi(row) {
+    const overrides = {};
+    for (const [field, column] of Object.entries(POLICY_COLUMNS)) {
+        overrides[field] = row[column] === null || field === 'autoClose' ? row[column] : Number(row[column]);
+    }
+    return { locationId: row.location_id, overrides, effective: policyFromRow(row, ANOMALY_POLICY), updatedAt: row.updated_at };
+}
+
+function runAnomalyScan({ wait = false } = {}) {
+    return scanAnomalies(pool, { defaults: ANOMALY_POLICY, lookbackDays: ANOMALY_LOOKBACK_DAYS, wait });
+}
+
+// Newest first. ?status= defaults to open; page back with ?beforeId=<id of the last entry>.
+app.get('/exceptions', authMiddleware, requireRole('owner', 'payroll', 'manager'), async (req, res) => {
+    const { kind, employeeId, locationId, beforeId } = req.query;
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !EXCEPTION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be all or one of: ${EXCEPTION_STATUSES.join(', ')}` });
+    }
+    if (kind && !ANOMALY_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of: ${ANOMALY_KINDS.join(', ')}` });
+    }
+    if (beforeId && !/^\d+$/.test(beforeId)) {
+        return res.status(400).json({ error: 'beforeId must be an exception id' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_EXCEPTION_LIMIT, MAX_EXCEPTION_LIMIT);
+
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    if (status !== 'all') addCondition('status = ?', status);
+    if (kind) addCondition('kind = ?', kind);
+    if (employeeId) addCondition('employee_id = ?', employeeId);
+    if (locationId) addCondition('location_id = ?', locationId);
+    if (beforeId) addCondition('id < ?', beforeId);
+    // Exceptions carry the record's employee and location, so the time record scope applies as is
+    const filter = scopeFilter(req, 'timerecords', values.length + 1);
+    if (filter) {
+        conditions.push(filter.sql);
+        values.push(...filter.values);
+    }
+
+    try {
+        values.push(limit);
+        const result = await pool.query(
+            `SELECT * FROM exceptions ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY id DESC LIMIT $${values.length}`,
+            values
+        );
+        res.json(result.rows.map(exceptionToApi));
+    } catch (err) {
+        sendError(req, res, err, 'Exceptions query error');
+    }
+});
+
+// Run a scan now instead of waiting for the next one
+app.post('/exceptions/scan', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    try {
+        res.json(await runAnomalyScan({ wait: true }));
+    } catch (err) {
+        sendError(req, res, err, 'Anomaly scan error');
+    }
+});
+
+app.get('/exceptions/policies', authMiddleware, requireRole('owner', 'payroll', 'manager'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM anomaly_policies ORDER BY location_id');
+        res.json({ defaults: ANOMALY_POLICY, locations: result.rows.map(anomalyPolicyToApi) });
+    } catch (err) {
+        sendError(req, res, err, 'Anomaly policies error');
+    }
+});
+
+// Replace a location's overrides. Omitted or null fields use the defaults.
+app.put('/exceptions/policies/:locationId', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { locationId } = req.params;
+    const policyError = validatePolicy(req.body);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+
+    try {
+        const location = await pool.query('SELECT id FROM locations WHERE id = $1 AND _deleted = false', [locationId]);
+        if (location.rows.length === 0) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        const columns = Object.values(POLICY_COLUMNS);
+        const values = Object.keys(POLICY_COLUMNS).map(field => req.body[field] ?? null);
+        const result = await pool.query(
+            `INSERT INTO anomaly_policies (location_id, ${columns.join(', ')})
+             VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+             ON CONFLICT (location_id) DO UPDATE SET
+             ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+             RETURNING *`,
+            [locationId, ...values]
+        );
+        res.json(anomalyPolicyToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'Anomaly policy error');
+    }
+});
+
+// Resolve or ignore an exception, with an optional note
+const setExceptionStatus = (status) => async (req, res) => {
+    const { id } = req.params;
+    const { note } = req.body;
+    if (!/^\d+$/.test(id)) {
+        return res.status(404).json({ error: 'Exception not found' });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_EXCEPTION_NOTE_LENGTH)) {
+        return res.status(400).json({ error: `note must be a string of at most ${MAX_EXCEPTION_NOTE_LENGTH} characters` });
+    }
+
+    try {
+        const filter = scopeFilter(req, 'timerecords', 2);
+        const existing = await pool.query(
+            `SELECT id${filter ? `, ${filter.sql} AS in_scope` : ''} FROM exceptions WHERE id = $1`,
+            filter ? [id, ...filter.values] : [id]
+        );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Exception not found' });
+        }
+        if (filter && !existing.rows[0].in_scope) {
+            return res.status(403).json({ error: 'Forbidden: Exception is outside your locations/departments' });
+        }
+
+        const actor = actorOf(req);
+        const result = await pool.query(
+            `UPDATE exceptions SET status = $2, note = COALESCE($3, note), resolved_at = CURRENT_TIMESTAMP,
+                    resolved_by_type = $4, resolved_by_id = $5, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [id, status, note ?? null, actor.type, actor.id]
+        );
+        res.json(exceptionToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'Exception update error');
+    }
+};
+
+app.post('/exceptions/:id/resolve', authMiddleware, requireRole('owner', 'payroll', 'manager'), setExceptionStatus('resolved'));
+app.post('/exceptions/:id/ignore', authMiddleware, requireRole('owner', 'payroll', 'manager'), setExceptionStatus('ignored'));
+
+// Correction requests. An employee proves who they are with a punch token
+// (POST /punch/verify) and proposes changes to one of their time records, or
+// a punch they forgot. A manager approves it, applying the change in the same
+// transaction (the record links back through correctionRequestId), or
+// rejects it. List them with GET /correction_requests?status=pending; kiosks
+// pull them like any collection, so the employee sees the outcome.
+const CORRECTION_TYPES = ['missed_clock_out', 'break_correction', 'forgotten_punch', 'other'];
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected'];
+const CORRECTION_FIELDS = ['clockIn', 'clockOut', 'breaks'];
+const MAX_CORRECTION_TEXT_LENGTH = 1000;
+
+// Helper: The time record a correction would produce: the current record (or a
+// new one) with the proposed changes, validated like any other write.
+async function correctedTimerecord(db, { employeeId, locationId, changes }, current) {
+    const base = current
+        ? {
+            id: current.id,
+            employeeId: current.employee_id,
+            locationId: current.location_id,
+            clockIn: current.clock_in.toISOString(),
+            clockOut: current.clock_out ? current.clock_out.toISOString() : null,
+            breaks: current.breaks
+        }
+        : { id: crypto.randomUUID(), employeeId, locationId };
+    return validateInput(db, 'timerecords', { ...base, ...changes }, { id: base.id });
+}
+
+function isValidNote(note) {
+    return note === undefined || note === null || (typeof note === 'string' && note.length <= MAX_CORRECTION_TEXT_LENGTH);
+}
+
+app.post('/correction_requests', authMiddleware, async (req, res) => {
+    const { punchToken, type, timerecordId, changes, reason } = req.body;
+    const punch = verifySignedToken(punchToken, punchTokenKey());
+    if (!punch || punch.deviceId !== (req.device ? req.device.id : null)) {
+        return res.status(401).json({ error: 'Invalid or expired punch token' });
+    }
+    if (!CORRECTION_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${CORRECTION_TYPES.join(', ')}` });
+    }
+    if (type === 'forgotten_punch' && timerecordId) {
+        return res.status(400).json({ error: 'A forgotten punch creates a new time record, omit timerecordId' });
+    }
+    if (type !== 'forgotten_punch' && (typeof timerecordId !== 'string' || !timerecordId)) {
+        return res.status(400).json({ error: 'timerecordId is required' });
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0
+        || Object.keys(changes).some(field => !CORRECTION_FIELDS.includes(field))) {
+        return res.status(400).json({ error: `changes must propose one or more of: ${CORRECTION_FIELDS.join(', ')}` });
+    }
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_CORRECTION_TEXT_LENGTH) {
+        return res.status(400).json({ error: `reason is required, at most ${MAX_CORRECTION_TEXT_LENGTH} characters` });
+    }
+
+    try {
+        let current = null;
+        let locationId;
+        if (timerecordId) {
+            const result = await pool.query(
+                'SELECT * FROM timerecords WHERE id = $1 AND employee_id = $2 AND _deleted = false',
+                [timerecordId, punch.employeeId]
+            );
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Time record not found' });
+            }
+            current = result.rows[0];
+            locationId = current.location_id;
+        } else {
+            // A forgotten punch belongs to this kiosk's location, else the employee's
+            const employee = await pool.query('SELECT location_id FROM employees WHERE id = $1', [punch.employeeId]);
+            locationId = (req.device && req.device.kiosk_location_id) || (employee.rows[0] && employee.rows[0].location_id) || null;
+        }
+
+        const { errors } = await correctedTimerecord(pool, { employeeId: punch.employeeId, locationId, changes }, current);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const { row } = await scopedWrite(req, 'correction_requests', null, async (client) => {
+            const result = await client.query(
+                `INSERT INTO correction_requests (id, type, employee_id, location_id, timerecord_id, changes, reason, device_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+                [crypto.randomUUID(), type, punch.employeeId, locationId, timerecordId || null,
+                    JSON.stringify(changes), reason.trim(), req.device ? req.device.id : null]
+            );
+            return result.rows[0];
+        });
+        res.status(201).json(dbToApi(row, 'correction_requests'));
+    } catch (err) {
+        if (err.constraint === 'idx_correction_requests_pending') {
+            return res.status(409).json({ error: 'A correction request for this time record is already pending' });
+        }
+        sendError(req, res, err, 'Correction request error');
+    }
+});
+
+// Approve or reject a pending request, with an optional note for the employee
+const decideCorrectionRequest = (status) => async (req, res) => {
+    const { id } = req.params;
+    const { note } = req.body;
+    if (!isValidNote(note)) {
+        return res.status(400).json({ error: `note must be a string of at most ${MAX_CORRECTION_TEXT_LENGTH} characters` });
+    }
+
+    let client;
+    const fail = async (code, error) => {
+        await client.query('ROLLBACK');
+        return res.status(code).json({ error });
+    };
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await setAuditContext(client, req);
+
+        const found = await client.query('SELECT * FROM correction_requests WHERE id = $1 AND _deleted = false FOR UPDATE', [id]);
+        if (found.rows.length === 0) {
+            return fail(404, 'Correction request not found');
+        }
+        if (await isOutOfScope(client, req, 'correction_requests', id)) {
+            return fail(403, 'Forbidden: Document is outside your locations/departments');
+        }
+        const request = found.rows[0];
+        if (request.status !== 'pending') {
+            return fail(409, `Correction request is already ${request.status}`);
+        }
+
+        let timerecord = null;
+        if (status === 'approved') {
+            // The record's audit entry carries the employee's reason, unless the approver gave one
+            if (!req.get('X-Change-Reason')) {
+                await client.query(
+                    `SELECT set_config('timekiosk.audit_reason', $1, true)`,
+                    [`Correction request ${id}: ${request.reason}`.slice(0, MAX_CHANGE_REASON_LENGTH)]
+                );
+            }
+
+            let current = null;
+            if (request.timerecord_id) {
+                const result = await client.query('SELECT * FROM timerecords WHERE id = $1 AND _deleted = false FOR UPDATE', [request.timerecord_id]);
+                if (result.rows.length === 0) {
+                    return fail(409, 'The time record no longer exists');
+                }
+                current = result.rows[0];
+            }
+
+            // Revalidated: the record may have changed since the request was made
+            const { doc, errors } = await correctedTimerecord(
+                client, { employeeId: request.employee_id, locationId: request.location_id, changes: request.changes }, current
+            );
+            if (errors.length > 0) {
+                await client.query('ROLLBACK');
+                return validationFailed(res, errors);
+            }
+            timerecord = await upsertDocument(client, 'timerecords', doc, {
+                deviceId: request.device_id,
+                extra: { correction_request_id: id }
+            });
+            if (await isOutOfScope(client, req, 'timerecords', timerecord.id)) {
+                return fail(403, 'Forbidden: Document is outside your locations/departments');
+            }
+        }
+
+        const actor = actorOf(req);
+        const updated = await client.query(
+            `UPDATE correction_requests
+             SET status = $2, applied_timerecord_id = $3, decision_note = $4, decided_at = CURRENT_TIMESTAMP,
+                 decided_by_type = $5, decided_by_id = $6, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [id, status, timerecord && timerecord.id, note ?? null, actor.type, actor.id]
+        );
+        await client.query('COMMIT');
+        res.json({ ...dbToApi(updated.rows[0], 'correction_requests'), timerecord: dbToApi(timerecord, 'timerecords') });
+    } catch (err) {
+        await client?.query('ROLLBACK').catch(() => {});
+        sendError(req, res, err, 'Correction decision error');
+    } finally {
+        client?.release();
+    }
+};
+
+app.post('/correction_requests/:id/approve', authMiddleware, requireRole('owner', 'payroll', 'manager'), decideCorrectionRequest('approved'));
+app.post('/correction_requests/:id/reject', authMiddleware, requireRole('owner', 'payroll', 'manager'), decideCorrectionRequest('rejected'));
+
+// Media uploads: employee photos and logos, referenced from records by id
+// (employees.imageId, settings.logoId). Kiosks may only upload a photo for a
+// given employee, and only while allowEmployeePhotoUpload is on; the photo is
+// then attached to the employee here, as kiosks can't edit employees.
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const mediaStorage = createMediaStorage();
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA_MAX_BYTES, files: 1, fields: 5 }
+}).single('file');
+
+// Route middleware: parse the multipart body into req.file and req.body
+function receiveUpload(req, res, next) {
+    mediaUpload(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `File is larger than ${MEDIA_MAX_BYTES} bytes` });
+        }
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ error: err.message });
+        }
+        next(err);
+    });
+}
+
+// Route guard: kiosks are refused before their upload is read
+async function requireKioskPhotoUpload(req, res, next) {
+    if (req.auth.role !== 'kiosk') return next();
+    try {
+        const { row: settings } = await effectiveSettings(pool, { device: req.device || null });
+        if (!settings.allow_employee_photo_upload) {
+            return res.status(403).json({ error: 'Forbidden: Employee photo upload is disabled' });
+        }
+        next();
+    } catch (err) {
+        sendError(req, res, err, 'Media upload error');
+    }
+}
+
+// Upload an image as multipart field `file`. With an `employeeId` field it
+// also becomes that employee's photo, and the updated employee is returned.
+app.post('/media', authMiddleware, requireKioskPhotoUpload, receiveUpload, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded (multipart field "file")' });
+    }
+    const employeeId = req.body.employeeId || null;
+    const isKiosk = req.auth.role === 'kiosk';
+    if (isKiosk && !employeeId) {
+        return res.status(403).json({ error: 'Forbidden: Kiosks may only upload employee photos' });
+    }
+    if (employeeId && !isKiosk && !can(req.auth.role, 'write', 'employees')) {
+        return res.status(403).json({ error: `Forbidden: ${req.auth.role} may not write employees` });
+    }
+
+    try {
+        if (employeeId) {
+            const existing = await pool.query('SELECT id FROM employees WHERE id = $1 AND _deleted = false', [employeeId]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Employee not found' });
+            }
+            if (await isOutOfScope(pool, req, 'employees', employeeId)) {
+                return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+            }
+        }
+
+        const media = await storeMedia(pool, mediaStorage, req.file.buffer, actorOf(req));
+        if (!media) {
+            return res.status(415).json({ error: `Unsupported image, expected one of: ${Object.values(MEDIA_TYPES).join(', ')}` });
+        }
+        if (!employeeId) {
+            return res.status(201).json(mediaToApi(media));
+        }
+
+        const { row, forbidden } = await scopedWrite(req, 'employees', employeeId, async (client) => {
+            const result = await client.query(
+                `UPDATE employees SET image_id = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND _deleted = false RETURNING *`,
+                [employeeId, media.id]
+            );
+            return result.rows[0];
+        });
+        if (forbidden) {
+            return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+        }
+        if (!row) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+        res.status(201).json({ ...mediaToApi(media), employee: dbToApi(row, 'employees') });
+    } catch (err) {
+        sendError(req, res, err, 'Media upload error');
+    }
+});
+
+// Serve an image or its thumbnail. Media never changes once uploaded (a new
+// image gets a new id), so clients may cache it for good and revalidate by ETag.
+const sendMedia = (variant) => async (req, res) => {
+    const prefix = variant === 'thumbnail' ? 'thumbnail_' : '';
+    try {
+        const result = await pool.query('SELECT * FROM media WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+        const media = result.rows[0];
+
+        res.set({
+            'ETag': `"${media[`${prefix}etag`]}"`,
+            'Cache-Control': 'private, max-age=31536000, immutable'
+        });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        res.set({
+            'Content-Type': media[`${prefix}content_type`],
+            'Content-Length': String(media[`${prefix}byte_size`])
+        });
+        const stream = mediaStorage.createReadStream(media[`${prefix}storage_key`]);
+        stream.on('error', (err) => {
+            if (!res.headersSent) {
+                res.removeHeader('ETag');
+                res.removeHeader('Cache-Control');
+            }
+            sendError(req, res, err, 'Media read error');
+        });
+        stream.pipe(res);
+    } catch (err) {
+        sendError(req, res, err, 'Media error');
+    }
+};
+
+app.get('/media/:id', authMiddleware, sendMedia('original'));
+app.get('/media/:id/thumbnail', authMiddleware, sendMedia('thumbnail'));
+
+// Scoped settings (see lib/settings.js): global, per-location and per-device
+// documents, merged field by field from the narrowest scope to the widest.
+
+// Helper: Effective settings for a device (a devices row) and/or a location.
+// The location defaults to the device's, then to kioskLocationId from its
+// settings; a device's enrolled location overrides kioskLocationId. Returns
+// { row, sources, locationId }, row having the global document's id.
+async function effectiveSettings(db, { device = null, locationId = null } = {}) {
+    const ids = [GLOBAL_SETTINGS_ID];
+    if (device) ids.push(settingsId('device', device.id));
+    const result = await db.query('SELECT * FROM settings WHERE id = ANY($1::text[]) AND _deleted = false', [ids]);
+    const globalRow = result.rows.find(row => row.id === GLOBAL_SETTINGS_ID) || null;
+    const deviceRow = result.rows.find(row => row.id !== GLOBAL_SETTINGS_ID) || null;
+
+    const location = locationId || (device && device.kiosk_location_id)
+        || (deviceRow && deviceRow.kiosk_location_id) || (globalRow && globalRow.kiosk_location_id) || null;
+    let locationRow = null;
+    if (location) {
+        const locationResult = await db.query(
+            'SELECT * FROM settings WHERE id = $1 AND _deleted = false', [settingsId('location', location)]
+        );
+        locationRow = locationResult.rows[0] || null;
+    }
+
+    const { row, sources } = mergeSettings([
+        { scope: 'device', row: deviceRow },
+        { scope: 'location', row: locationRow },
+        { scope: 'global', row: globalRow }
+    ], SCHEMAS.settings.fields);
+    if (device && device.kiosk_location_id) {
+        row.kiosk_location_id = device.kiosk_location_id;
+        sources.kioskLocationId = 'device';
+    }
+    row.id = GLOBAL_SETTINGS_ID;
+    return { row, sources, locationId: location };
+}
+
+// Helper: A kiosk's settings pull. Older kiosks only read GLOBAL_SETTINGS, so
+// they get their effective settings under that id instead of the scoped
+// documents, resent whenever any scoped document changes.
+async function kioskSettingsDocuments(db, device, rows) {
+    const documents = rows
+        .filter(row => parseSettingsId(row.id).scope === null)
+        .map(row => dbToSyncDoc(row, 'settings'));
+    if (rows.some(row => parseSettingsId(row.id).scope !== null)) {
+        const { row } = await effectiveSettings(db, { device });
+        documents.push({ ...dbToApi(row, 'settings'), _deleted: false });
+    }
+    return documents;
+}
+
+// Effective settings with the scope each field came from ('device',
+// 'location', 'global' or 'default'). Kiosks get their own; other callers
+// name a device and/or location, or get the global settings.
+app.get('/settings/effective', authMiddleware, requirePermission('read', 'settings'), async (req, res) => {
+    const { deviceId, locationId } = req.query;
+    if ((deviceId !== undefined && typeof deviceId !== 'string') || (locationId !== undefined && typeof locationId !== 'string')) {
+        return res.status(400).json({ error: 'deviceId and locationId must be single values' });
+    }
+    if (req.device && deviceId !== undefined && deviceId !== req.device.id) {
+        return res.status(403).json({ error: 'Forbidden: Kiosks may only read their own settings' });
+    }
+
+    try {
+        let device = req.device || null;
+        if (!device && deviceId) {
+            const result = await pool.query('SELECT * FROM devices WHERE id = $1', [deviceId]);
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Device not found' });
+            }
+            device = result.rows[0];
+        }
+        if (locationId) {
+            const result = await pool.query('SELECT 1 FROM locations WHERE id = $1', [locationId]);
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Location not found' });
+            }
+        }
+
+        const effective = await effectiveSettings(pool, { device, locationId: locationId || null });
+        const { id, ...settings } = dbToApi(effective.row, 'settings');
+        res.json({
+            deviceId: device ? device.id : null,
+            locationId: effective.locationId,
+            settings,
+            sources: effective.sources
+        });
+    } catch (err) {
+        sendError(req, res, err, 'Effective settings error');
+    }
+});
+
+// Bulk employee import/export as CSV (see lib/employeeImport.js). An import is
+// all or nothing: with ?dryRun=true, or if any row has errors, nothing is
+// written and the preview of creates, updates and errors is returned.
+const receiveCsv = bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+app.post('/import/employees', authMiddleware, requireRole('owner', 'payroll'), receiveCsv, async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(415).json({ error: 'Send the employees as text/csv' });
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    let rows;
+    try {
+        rows = parseCsv(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const plan = await planEmployeeImport(client, rows);
+        const preview = { dryRun, ...importPreview(plan) };
+        if (dryRun || plan.errors.length > 0) {
+            await client.query('ROLLBACK');
+            if (!dryRun) {
+                return res.status(400).json({ error: 'Import has errors, nothing was imported', ...preview });
+            }
+            return res.json(preview);
+        }
+
+        await setAuditContext(client, req);
+        if (!req.get('X-Change-Reason')) {
+            await client.query(`SELECT set_config('timekiosk.audit_reason', 'Employee CSV import', true)`);
+        }
+        await applyEmployeeImport(client, plan);
+        await client.query('COMMIT');
+        req.log.info('Employee import', { by: callerName(req), created: plan.creates.length, updated: plan.updates.length });
+        res.json(preview);
+    } catch (err) {
+        await client?.query('ROLLBACK').catch(() => {});
+        // Another write took one of the PINs since the import was planned
+        if (err.code === '23505' && err.constraint === 'idx_employees_pin_fingerprint') {
+            return res.status(409).json({ error: 'PIN is already in use' });
+        }
+        sendError(req, res, err, 'Employee import error');
+    } finally {
+        client?.release();
+    }
+});
+
+app.get('/export/employees', authMiddleware, requireRole('owner', 'payroll'), async (req, res) => {
+    try {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="employees.csv"');
+        for await (const line of employeeCsvLines(pool)) {
+            if (!res.write(line)) await once(res, 'drain');
+        }
+        res.end();
+    } catch (err) {
+        sendError(req, res, err, 'Employee export error');
+    }
+});
+
+// Backup and restore (see lib/backup.js). A backup is read from one snapshot
+// and streamed as it's read; a restore only goes into an empty database at the
+// same schema version, in one transaction.
+const RESTORE_MAX_BYTES = process.env.RESTORE_MAX_BYTES || '100mb';
+
+app.get('/backup', authMiddleware, requireRole('owner'), async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!BACKUP_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${BACKUP_FORMATS.join(', ')}` });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        const createdAt = new Date();
+        res.set('Content-Type', format === 'ndjson' ? 'application/x-ndjson' : 'application/json');
+        res.set('Content-Disposition', `attachment; filename="timekiosk-backup-${createdAt.toISOString().replace(/[:.]/g, '-')}.${format}"`);
+        for await (const chunk of backupChunks(client, { format, createdAt })) {
+            if (!res.write(chunk)) await once(res, 'drain');
+        }
+        await client.query('COMMIT');
+        res.end();
+    } catch (err) {
+        await client?.query('ROLLBACK').catch(() => {});
+        sendError(req, res, err, 'Backup error');
+    } finally {
+        client?.release();
+    }
+});
+
+// JSON backups are parsed whole (up to RESTORE_MAX_BYTES); NDJSON is read line by line
+app.post('/restore', authMiddleware, requireRole('owner'), bodyParser.json({ limit: RESTORE_MAX_BYTES }), async (req, res) => {
+    const ndjson = Boolean(req.is('application/x-ndjson'));
+    if (!ndjson && !req.is('json')) {
+        return res.status(415).json({ error: 'Send the backup as application/json or application/x-ndjson' });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const restored = await restoreBackup(client, ndjson ? ndjsonBackupEntries(req) : jsonBackupEntries(req.body));
+        await client.query('COMMIT');
+        const version = await schemaVersion(pool);
+        req.log.info('Restore', { by: callerName(req), restored });
+        res.json({ restored, schemaVersion: version });
+    } catch (err) {
+        await client?.query('ROLLBACK').catch(() => {});
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        // Rows the database refused: bad values, duplicate ids, broken references
+        if (err.code && (err.code.startsWith('22') || err.code.startsWith('23'))) {
+            return res.status(400).json({ error: `Backup could not be restored: ${err.message}` });
+        }
+        sendError(req, res, err, 'Restore error');
+    } finally {
+        client?.release();
+    }
+});
+
+// Webhooks (see lib/webhooks.js): admins register URLs for punch and employee
+// events. Deliveries are queued with the change and sent by the dispatcher
+// below; the delivery log shows every attempt's outcome.
+const WEBHOOK_POLICY = {
+    timeoutSeconds: parseNumber(process.env.WEBHOOK_TIMEOUT_SECONDS, DEFAULT_WEBHOOK_POLICY.timeoutSeconds),
+    maxAttempts: parseNumber(process.env.WEBHOOK_MAX_ATTEMPTS, DEFAULT_WEBHOOK_POLICY.maxAttempts),
+    retryBaseSeconds: parseNumber(process.env.WEBHOOK_RETRY_BASE_SECONDS, DEFAULT_WEBHOOK_POLICY.retryBaseSeconds),
+    retryMaxSeconds: parseNumber(process.env.WEBHOOK_RETRY_MAX_SECONDS, DEFAULT_WEBHOOK_POLICY.retryMaxSeconds)
+};
+
+app.get('/webhooks', authMiddleware, requireRole('owner'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM webhooks ORDER BY created_at, id');
+        res.json(result.rows.map(webhookToApi));
+    } catch (err) {
+        sendError(req, res, err, 'GET webhooks error');
+    }
+});
+
+app.post('/webhooks', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { values, errors } = validateWebhook(req.body);
+    if (errors.length > 0) {
+        return validationFailed(res, errors);
+    }
+    const secret = values.secret || generateToken();
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO webhooks (id, url, events, secret, description, active, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [`WH-${crypto.randomUUID()}`, values.url, values.events, secret, values.description || null, values.active ?? true, callerName(req)]
+        );
+        // The secret is only ever returned here
+        res.status(201).json({ ...webhookToApi(result.rows[0]), secret });
+    } catch (err) {
+        sendError(req, res, err, 'POST webhook error');
+    }
+});
+
+app.put('/webhooks/:id', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { values, errors } = validateWebhook(req.body, { partial: true });
+    if (errors.length > 0) {
+        return validationFailed(res, errors);
+    }
+
+    try {
+        const columns = Object.keys(values);
+        const result = await pool.query(
+            `UPDATE webhooks SET ${[...columns.map((column, i) => `${column} = $${i + 2}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+             WHERE id = $1 RETURNING *`,
+            [req.params.id, ...columns.map(column => values[column])]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        // Deliveries held back while it was inactive go out now
+        if (values.active) dispatchWebhooks();
+        res.json(webhookToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'PUT webhook error');
+    }
+});
+
+// Deleting a webhook drops its queued deliveries and log
+app.delete('/webhooks/:id', authMiddleware, requireRole('owner'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM webhooks WHERE id = $1', [req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        sendError(req, res, err, 'DELETE webhook error');
+    }
+});
+
+// Delivery log, newest first; ?status=pending|delivered|dead, ?limit (max 500)
+app.get('/webhooks/:id/deliveries', authMiddleware, requireRole('owner'), async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    try {
+        const webhook = await pool.query('SELECT 1 FROM webhooks WHERE id = $1', [req.params.id]);
+        if (webhook.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const result = await pool.query(
+            `SELECT * FROM webhook_deliveries
+             WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+             ORDER BY id DESC LIMIT $3`,
+            [req.params.id, status || null, limit]
+        );
+        res.json(result.rows.map(deliveryToApi));
+    } catch (err) {
+        sendError(req, res, err, 'GET webhook deliveries error');
+    }
+});
+
+// Queue an event again, e.g. a dead delivery once the receiver is fixed. The
+// new delivery carries the same event id, so receivers can drop duplicates.
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', authMiddleware, requireRole('owner'), async (req, res) => {
+    if (!/^\d+$/.test(req.params.deliveryId)) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, collection, document_id, document, occurred_at, redelivery_of)
+             SELECT webhook_id, event_id, event_type, collection, document_id, document, occurred_at, id
+             FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2
+             RETURNING *`,
+            [req.params.deliveryId, req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        dispatchWebhooks();
+        res.status(202).json(deliveryToApi(result.rows[0]));
+    } catch (err) {
+        sendError(req, res, err, 'Redeliver webhook error');
+    }
+});
+
+// Query options for GET /:collection: the filters each collection accepts and
+// the API fields it can be sorted by (mapped to columns). Every sort ends on id
+// so cursors are stable.
+const COLLECTION_QUERIES = {
+    employees: {
+        filters: ['locationId', 'departmentId', 'archived'],
+        sorts: { id: 'id', name: 'name', updatedAt: 'updated_at' }
+    },
+    timerecords: {
+        filters: ['employeeId', 'locationId', 'departmentId', 'from', 'to'],
+        sorts: { id: 'id', clockIn: 'clock_in', updatedAt: 'updated_at' }
+    },
+    locations: { filters: [], sorts: { id: 'id', name: 'name', updatedAt: 'updated_at' } },
+    departments: { filters: [], sorts: { id: 'id', name: 'name', updatedAt: 'updated_at' } },
+    settings: { filters: [], sorts: { id: 'id', updatedAt: 'updated_at' } },
+    correction_requests: {
+        filters: ['employeeId', 'locationId', 'status'],
+        sorts: { id: 'id', createdAt: 'created_at', updatedAt: 'updated_at' }
+    }
+};
+const COLLECTION_FILTERS = ['employeeId', 'locationId', 'departmentId', 'archived', 'status', 'from', 'to'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Cursors are opaque to clients: the sort they belong to plus the last row's
+// sort value and id. Values are kept as text so timestamps keep microseconds.
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(next) {
+    try {
+        const cursor = JSON.parse(Buffer.from(next, 'base64url').toString('utf8'));
+        return cursor && typeof cursor.sort === 'string' && typeof cursor.value === 'string' && typeof cursor.id === 'string'
+            ? cursor
+            : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Helper: Parse the GET /:collection query into SQL conditions, ordering and
+// page size. Returns { error } for invalid parameters.
+function parseCollectionQuery(collection, query) {
+    const { filters, sorts } = COLLECTION_QUERIES[collection];
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    for (const name of COLLECTION_FILTERS) {
+        const value = query[name];
+        if (value === undefined) continue;
+        if (!filters.includes(name)) {
+            return { error: `${collection} can't be filtered by ${name}` };
+        }
+        if (typeof value !== 'string' || value === '') {
+            return { error: `${name} must be a single value` };
+        }
+
+        if (name === 'archived') {
+            if (value !== 'true' && value !== 'false') return { error: 'archived must be true or false' };
+            addCondition('archived = ?', value === 'true');
+        } else if (name === 'status') {
+            if (!CORRECTION_STATUSES.includes(value)) return { error: `status must be one of: ${CORRECTION_STATUSES.join(', ')}` };
+            addCondition('status = ?', value);
+        } else if (name === 'from' || name === 'to') {
+            if (Number.isNaN(Date.parse(value))) return { error: `${name} must be a date or timestamp` };
+            if (name === 'from') addCondition('clock_in >= ?', value);
+            // A plain date includes that whole day
+            else addCondition(isValidDay(value) ? 'clock_in < ?::date + 1' : 'clock_in <= ?', value);
+        } else if (name === 'employeeId') {
+            addCondition('employee_id = ?', value);
+        } else if (name === 'locationId') {
+            addCondition('location_id = ?', value);
+        } else if (name === 'departmentId') {
+            addCondition(collection === 'timerecords'
+                ? 'employee_id IN (SELECT id FROM employees WHERE department_id = ?)'
+                : 'department_id = ?', value);
+        }
+    }
+
+    // sort=field ascending, sort=-field descending
+    const sortParam = query.sort || 'id';
+    const descending = typeof sortParam === 'string' && sortParam.startsWith('-');
+    const column = typeof sortParam === 'string' && sorts[descending ? sortParam.slice(1) : sortParam];
+    if (!column) {
+        return { error: `sort must be one of: ${Object.keys(sorts).map(f => `${f}, -${f}`).join(', ')}` };
+    }
+
+    let limit = null;
+    if (query.limit !== undefined || query.next !== undefined) {
+        limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+
+    if (query.next !== undefined) {
+        const cursor = typeof query.next === 'string' ? decodeCursor(query.next) : null;
+        if (!cursor || cursor.sort !== sortParam) {
+            return { error: 'next is not a valid cursor for this sort' };
+        }
+        values.push(cursor.value, cursor.id);
+        conditions.push(`(${column}, id) ${descending ? '<' : '>'} ($${values.length - 1}, $${values.length})`);
+    }
+
+    const direction = descending ? 'DESC' : 'ASC';
+    return { conditions, values, sortParam, column, orderBy: `${column} ${direction}, id ${direction}`, limit };
+}
+
+// GET All. Without limit/next the whole (filtered) collection is returned, as
+// older clients expect; with them, one page, and X-Next-Cursor holds the
+// `next` value for the following page when there is one.
+app.get('/:collection', authMiddleware, requirePermission('read'), async (req, res) => {
+    const { collection } = req.params;
+    if (!validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const parsed = parseCollectionQuery(collection, req.query);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    const { conditions, values, sortParam, column, orderBy, limit } = parsed;
+
+    // Tombstones are hidden unless explicitly requested
+    const includeDeleted = req.query.includeDeleted === 'true';
+    if (!includeDeleted) conditions.push('_deleted = false');
+
+    const filter = scopeFilter(req, collection, values.length + 1);
+    if (filter) {
+        conditions.push(filter.sql);
+        values.push(...filter.values);
+    }
+
+    try {
+        let sql = `SELECT *, (${column})::text AS _sort_value FROM ${collection}`
+            + `${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY ${orderBy}`;
+        if (limit) {
+            values.push(limit + 1);
+            sql += ` LIMIT $${values.length}`;
+        }
+
+        const result = await pool.query(sql, values);
+        const rows = result.rows;
+        if (limit && rows.length > limit) {
+            rows.length = limit;
+            const last = rows[rows.length - 1];
+            res.set('X-Next-Cursor', encodeCursor({ sort: sortParam, value: last._sort_value, id: last.id }));
+        }
+        res.json(rows.map(row => includeDeleted ? dbToSyncDoc(row, collection) : dbToApi(row, collection)));
+    } catch (err) {
+        sendError(req, res, err, 'GET all error');
+    }
+});
+
+// GET One
+app.get('/:collection/:id', authMiddleware, requirePermission('read'), async (req, res) => {
+    const { collection, id } = req.params;
+    if (!validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const includeDeleted = req.query.includeDeleted === 'true';
+    const filter = scopeFilter(req, collection, 2);
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM ${collection} WHERE id = $1${includeDeleted ? '' : ' AND _deleted = false'}${filter ? ` AND ${filter.sql}` : ''}`,
+            filter ? [id, ...filter.values] : [id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        const row = result.rows[0];
+        res.json(includeDeleted ? dbToSyncDoc(row, collection) : dbToApi(row, collection));
+    } catch (err) {
+        sendError(req, res, err, 'GET one error');
+    }
+});
+
+// POST (Create)
+app.post('/:collection', authMiddleware, requirePermission('write'), async (req, res) => {
+    const { collection } = req.params;
+    if (!validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    try {
+        const data = await scopeToDevice(pool, req.device, collection, req.body.id, req.body);
+        if (!data) {
+            return res.status(403).json({ error: 'Forbidden: Device is not assigned to this location' });
+        }
+
+        // A new employee may be created with an initial PIN
+        const initialPin = collection === 'employees' && data.pin !== undefined && data.pin !== null ? String(data.pin) : null;
+        const pinError = initialPin !== null && validatePin(initialPin);
+        if (pinError) {
+            return res.status(400).json({ error: pinError });
+        }
+
+        const { doc, errors } = await validateInput(pool, collection, data);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const { row, forbidden } = await scopedWrite(req, collection, null, async (client) => {
+            const created = await upsertDocument(client, collection, doc, { deviceId: req.device && req.device.id, upsert: false });
+            return initialPin !== null ? setEmployeePin(client, created.id, initialPin) : created;
+        });
+        if (forbidden) {
+            return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+        }
+        if (collection === 'timerecords') countPunches(null, row);
+        res.status(201).json(dbToApi(row, collection));
+    } catch (err) {
+        if (err.constraint === 'idx_employees_pin_fingerprint') {
+            return res.status(409).json({ error: 'PIN is already in use' });
+        }
+        if (err.constraint === `${collection}_pkey`) {
+            return res.status(409).json({ error: 'Document already exists' });
+        }
+        sendError(req, res, err, 'POST error');
+    }
+});
+
+// PUT (Update/Upsert)
+app.put('/:collection/:id', authMiddleware, requirePermission('write'), async (req, res) => {
+    const { collection, id } = req.params;
+    if (!validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    try {
+        const data = await scopeToDevice(pool, req.device, collection, id, req.body);
+        if (!data) {
+            return res.status(403).json({ error: 'Forbidden: Device is not assigned to this location' });
+        }
+
+        const { doc, errors } = await validateInput(pool, collection, data, { id });
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const { row, forbidden } = await scopedWrite(req, collection, id, (client) =>
+            upsertDocument(client, collection, doc, { deviceId: req.device && req.device.id })
+        );
+        if (forbidden) {
+            return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+        }
+        res.json(dbToApi(row, collection));
+    } catch (err) {
+        sendError(req, res, err, 'PUT error');
+    }
+});
+
+// DELETE (soft delete, leaves a tombstone)
+app.delete('/:collection/:id', authMiddleware, requirePermission('delete'), async (req, res) => {
+    const { collection, id } = req.params;
+    if (!validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    try {
+        if (!await scopeToDevice(pool, req.device, collection, id, {})) {
+            return res.status(403).json({ error: 'Forbidden: Device is not assigned to this location' });
+        }
+
+        const { row, forbidden } = await scopedWrite(req, collection, id, (client) =>
+            softDeleteDocument(client, collection, id)
+        );
+        if (forbidden) {
+            return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+        }
+        if (!row) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        sendError(req, res, err, 'DELETE error');
+    }
+});
+
+// RESTORE (undo a soft delete)
+app.post('/:collection/:id/restore', authMiddleware, requirePermission('delete'), async (req, res) => {
+    const { collection, id } = req.params;
+    if (!validCollections.includes(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    try {
+        const { row, forbidden } = await scopedWrite(req, collection, id, async (client) => {
+            const result = await client.query(
+                `UPDATE ${collection}
+                 SET _deleted = false, deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND _deleted = true
+                 RETURNING *`,
+                [id]
+            );
+            return result.rows[0];
+        });
+        if (forbidden) {
+            return res.status(403).json({ error: 'Forbidden: Document is outside your locations/departments' });
+        }
+        if (!row) {
+            return res.status(404).json({ error: 'Deleted document not found' });
+        }
+        res.json(dbToApi(row, collection));
+    } catch (err) {
+        sendError(req, res, err, 'RESTORE error');
+    }
+});
+
+// Errors passed on by middleware, e.g. unparseable JSON bodies. Client errors
+// keep their status; the rest get the generic 500.
+app.use((err, req, res, next) => {
+    if (err.status >= 400 && err.status < 500 && !res.headersSent) {
+        return res.status(err.status).json({ error: err.expose ? err.message : 'Bad request' });
+    }
+    sendError(req, res, err, 'Unhandled error');
+});
+
+// Tombstone purge job. Keep the retention longer than any kiosk stays offline,
+// or that kiosk will never learn about deletes made while it was away.
+const TOMBSTONE_RETENTION_DAYS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS ?? '90', 10);
+const TOMBSTONE_PURGE_INTERVAL_HOURS = parseInt(process.env.TOMBSTONE_PURGE_INTERVAL_HOURS, 10) || 24;
+let tombstonePurgeTimer = null;
+
+// A collection that fails (e.g. a tombstone still referenced) is logged and
+// skipped, so the others are still purged
+async function purgeTombstones() {
+    for (const collection of validCollections) {
+        try {
+            const result = await pool.query(
+                `DELETE FROM ${collection}
+                 WHERE _deleted = true AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+                [TOMBSTONE_RETENTION_DAYS]
+            );
+            if (result.rowCount > 0) {
+                logger.info('Purged tombstones', { collection, count: result.rowCount });
+            }
+        } catch (err) {
+            logger.error('Tombstone purge error', { collection, err });
+        }
+    }
+}
+
+function startTombstonePurge() {
+    if (!(TOMBSTONE_RETENTION_DAYS > 0)) {
+        logger.info('Tombstone purge disabled (TOMBSTONE_RETENTION_DAYS=0)');
+        return;
+    }
+    const run = () => purgeTombstones().catch(err => logger.error('Tombstone purge error', { err }));
+    run();
+    tombstonePurgeTimer = setInterval(run, TOMBSTONE_PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+    tombstonePurgeTimer.unref();
+}
+
+// Anomaly scan job; ANOMALY_SCAN_INTERVAL_MINUTES=0 leaves scans to POST /exceptions/scan
+const ANOMALY_SCAN_INTERVAL_MINUTES = parseInt(process.env.ANOMALY_SCAN_INTERVAL_MINUTES ?? '15', 10);
+let anomalyScanTimer = null;
+
+function startAnomalyScan() {
+    if (!(ANOMALY_SCAN_INTERVAL_MINUTES > 0)) {
+        logger.info('Anomaly scan disabled (ANOMALY_SCAN_INTERVAL_MINUTES=0)');
+        return;
+    }
+    const run = () => runAnomalyScan().then((result) => {
+        if (result && (result.detected || result.autoClosed || result.resolved)) {
+            logger.info('Anomaly scan', { detected: result.detected, autoClosed: result.autoClosed, resolved: result.resolved });
+        }
+    }).catch(err => logger.error('Anomaly scan error', { err }));
+    run();
+    anomalyScanTimer = setInterval(run, ANOMALY_SCAN_INTERVAL_MINUTES * 60 * 1000);
+    anomalyScanTimer.unref();
+}
+
+// Webhook dispatcher: sends queued deliveries as soon as an employee or time
+// record change commits, and polls every WEBHOOK_POLL_INTERVAL_SECONDS for
+// retries. WEBHOOK_POLL_INTERVAL_SECONDS=0 turns delivery off; deliveries
+// still queue up.
+const WEBHOOK_POLL_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS ?? '15', 10);
+const WEBHOOK_SOURCES = ['employees', 'timerecords'];
+let webhookTimer = null;
+let webhookDispatch = null;
+let webhookDispatchAgain = false;
+
+// Run the dispatcher, or once more after the current run if one is going
+function dispatchWebhooks() {
+    if (!webhookTimer) return;
+    if (webhookDispatch) {
+        webhookDispatchAgain = true;
+        return;
+    }
+    webhookDispatch = deliverDueWebhooks(pool, WEBHOOK_POLICY)
+        .catch(err => logger.error('Webhook dispatch error', { err }))
+        .finally(() => {
+            webhookDispatch = null;
+            if (webhookDispatchAgain) {
+                webhookDispatchAgain = false;
+                dispatchWebhooks();
+            }
+        });
+}
+
+function startWebhookDispatch() {
+    if (!(WEBHOOK_POLL_INTERVAL_SECONDS > 0)) {
+        logger.info('Webhook delivery disabled (WEBHOOK_POLL_INTERVAL_SECONDS=0)');
+        return;
+    }
+    webhookTimer = setInterval(dispatchWebhooks, WEBHOOK_POLL_INTERVAL_SECONDS * 1000);
+    webhookTimer.unref();
+    changeFeed.on('change', ({ collection }) => {
+        if (WEBHOOK_SOURCES.includes(collection)) dispatchWebhooks();
+    });
+    dispatchWebhooks();
+}
+
+// Stop taking connections, end open change streams and let in-flight requests
+// finish (up to SHUTDOWN_TIMEOUT_SECONDS), then stop the jobs, release the
+// LISTEN connection and close the database pool. Importers (the tests) call
+// it when they are done so the process can exit.
+const SHUTDOWN_TIMEOUT_SECONDS = parseNumber(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10);
+let server = null;
+let shuttingDown = false;
+export async function close() {
+    shuttingDown = true;
+    clearInterval(tombstonePurgeTimer);
+    clearInterval(anomalyScanTimer);
+    clearInterval(webhookTimer);
+    webhookTimer = null;
+    for (const connection of streamConnections) {
+        connection.res.end();
+    }
+
+    if (server) {
+        const closed = new Promise(resolve => server.close(resolve));
+        server.closeIdleConnections();
+        const deadline = setTimeout(() => {
+            logger.warn('Requests still running at the shutdown timeout, closing their connections');
+            server.closeAllConnections();
+        }, SHUTDOWN_TIMEOUT_SECONDS * 1000);
+        await closed;
+        clearTimeout(deadline);
+    }
+
+    try {
+        await changeFeed.stop();
+    } catch (err) {
+        logger.error('Error stopping change feed', { err });
+    }
+    // A delivery being sent is recorded before the pool closes
+    await webhookDispatch;
+    try {
+        await pool.end();
+    } catch (err) {
+        logger.error('Error closing database pool', { err });
+    }
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    logger.info('Shutting down', { signal });
+    await close();
+    logger.info('Shutdown complete');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Bring the schema up to date before serving. With MIGRATE_ON_START=false
+// migrations are left to `npm run migrate`, and startup refuses to boot while
+// any are pending. A failed migration always stops startup.
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== 'false';
+
+async function prepareDatabase() {
+    if (MIGRATE_ON_START) {
+        await migrate(pool, { log: logger });
+    }
+
+    const status = await migrationStatus(pool);
+    const pending = status.filter(m => m.state === 'pending');
+    if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migration(s), run \`npm run migrate\` first`);
+    }
+    expectedSchemaVersion = Math.max(0, ...status.map(m => m.version));
+    for (const m of status.filter(m => m.state === 'modified' || m.state === 'missing')) {
+        logger.warn(`Migration is ${m.state}; see \`npm run migrate:status\``, { migration: `${m.version}_${m.name}` });
+    }
+    logger.info('PostgreSQL database initialized');
+}
+
+// Resolves once the schema is up to date and the change feed is listening.
+// Importers that use `app` directly (the tests) wait on it.
+export const ready = prepareDatabase().then(() => changeFeed.start());
+
+// Start the jobs, and listen when run as `node server.js`; importers serve
+// `app` themselves
+const isEntryPoint = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+ready.then(() => {
+    startTombstonePurge();
+    startAnomalyScan();
+    startWebhookDispatch();
+    if (!isEntryPoint) return;
     if (enableTLS && httpsOptions.cert) {
-        https.createServer(httpsOptions, app).listen(PORT, HOST, () => {
-            console.log(`HTTPS Server running on https://${HOST}:${PORT}`);
+        server = https.createServer(httpsOptions, app).listen(PORT, HOST, () => {
+            logger.info('HTTPS server running', { url: `https://${HOST}:${PORT}` });
         });
     } else {
-        app.listen(PORT, HOST, () => {
-            console.log(`HTTP Server running on http://${HOST}:${PORT}`);
+        server = app.listen(PORT, HOST, () => {
+            logger.info('HTTP server running', { url: `http://${HOST}:${PORT}` });
         });
     }
 }).catch(err => {
-    console.error('Failed to initialize database:', err);
+    logger.error('Failed to initialize database', { err });
     process.exit(1);
 });
 
@@ -0,0 +1,34 @@
+import { expect } from 'chai';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { ChangeFeed } from '../lib/changeFeed.js';
+
+dotenv.config({ quiet: true });
+
+describe('Change feed', () => {
+    let pool;
+    let feed;
+
+    before(() => {
+        pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+    });
+
+    after(async () => {
+        await feed.stop();
+        await pool.end();
+    });
+
+    it('should reconnect and ask for a resync when the listener connection ends', async () => {
+        const channel = `timekiosk_changes_test_${Date.now()}`;
+        feed = new ChangeFeed(pool, { channel, reconnectDelayMs: 10 });
+        await feed.start();
+
+        const resynced = new Promise(resolve => feed.once('resync', resolve));
+        await feed.client.end();
+        await resynced;
+
+        const changed = new Promise(resolve => feed.once('change', resolve));
+        await pool.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify({ collection: 'locations', id: 'LOC-1', op: 'UPDATE' })]);
+        expect(await changed).to.deep.equal({ collection: 'locations', id: 'LOC-1', op: 'UPDATE' });
+    });
+});
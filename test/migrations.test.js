@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import pg from 'pg';
+import { migrate, migrationStatus } from '../lib/migrations.js';
+
+dotenv.config({ quiet: true });
+
+// The runner against migrations in a temporary directory, applied to a
+// schema of their own so the server's tables are left alone
+describe('Schema migrations', () => {
+    const schema = `migrations_test_${Date.now()}`;
+    const silent = { info() {}, warn() {} };
+    const superseded = {};
+    let dir;
+    let pool;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timekiosk-migrations-'));
+        const admin = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+        await admin.query(`CREATE SCHEMA ${schema}`);
+        await admin.end();
+        pool = new pg.Pool({ connectionString: process.env.DATABASE_URL, options: `-c search_path=${schema}` });
+    });
+
+    after(async () => {
+        await pool.query(`DROP SCHEMA ${schema} CASCADE`);
+        await pool.end();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const states = async () => (await migrationStatus(pool, { dir, superseded })).map(m => `${m.version}:${m.state}`);
+
+    it('should apply pending migrations in order and flag changed or missing ones', async () => {
+        await fs.writeFile(path.join(dir, '001_widgets.sql'), 'CREATE TABLE widgets (id INTEGER PRIMARY KEY);');
+        await fs.writeFile(
+            path.join(dir, '002_seed_widgets.js'),
+            "export async function up(client) { await client.query('INSERT INTO widgets (id) VALUES (1), (2)'); }\n"
+        );
+        expect(await states()).to.deep.equal(['1:pending', '2:pending']);
+
+        const applied = await migrate(pool, { dir, log: silent, superseded });
+        expect(applied.map(m => m.name)).to.deep.equal(['widgets', 'seed_widgets']);
+        expect(await states()).to.deep.equal(['1:applied', '2:applied']);
+        expect((await pool.query('SELECT COUNT(*)::int AS count FROM widgets')).rows[0].count).to.equal(2);
+        expect(await migrate(pool, { dir, log: silent, superseded })).to.be.empty;
+
+        // An edited file no longer matches its recorded checksum, and isn't applied again
+        await fs.writeFile(path.join(dir, '001_widgets.sql'), 'CREATE TABLE widgets (id BIGINT PRIMARY KEY);');
+        expect(await states()).to.deep.equal(['1:modified', '2:applied']);
+        expect(await migrate(pool, { dir, log: silent, superseded })).to.be.empty;
+
+        await fs.rm(path.join(dir, '002_seed_widgets.js'));
+        expect(await states()).to.deep.equal(['1:modified', '2:missing']);
+    });
+
+    it('should roll back a failed migration and stop there', async () => {
+        await fs.writeFile(path.join(dir, '003_gadgets.sql'), 'CREATE TABLE gadgets (id INTEGER); SELECT * FROM no_such_table;');
+        await fs.writeFile(path.join(dir, '004_sprockets.sql'), 'CREATE TABLE sprockets (id INTEGER);');
+
+        let error = null;
+        try {
+            await migrate(pool, { dir, log: silent, superseded });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.an('error');
+        expect(error.message).to.match(/^Migration 003_gadgets failed: /);
+        expect(await states()).to.deep.equal(['1:modified', '2:missing', '3:pending', '4:pending']);
+        const tables = await pool.query('SELECT table_name FROM information_schema.tables WHERE table_schema = $1', [schema]);
+        expect(tables.rows.map(row => row.table_name)).to.have.members(['schema_migrations', 'widgets']);
+    });
+
+    it('should accept a released migration rewritten without changing what it does', async () => {
+        await fs.rm(path.join(dir, '003_gadgets.sql'));
+        await fs.rm(path.join(dir, '004_sprockets.sql'));
+        superseded[1] = [crypto.createHash('sha256').update('CREATE TABLE widgets (id INTEGER PRIMARY KEY);').digest('hex')];
+        expect(await states()).to.deep.equal(['1:applied', '2:missing']);
+
+        // migrate() records the rewritten file's checksum
+        await migrate(pool, { dir, log: silent, superseded });
+        delete superseded[1];
+        expect(await states()).to.deep.equal(['1:applied', '2:missing']);
+    });
+});
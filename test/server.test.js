@@ -1,8 +1,26 @@
 import request from 'supertest';
 import { expect } from 'chai';
-import app from '../server.js';
+import sharp from 'sharp';
+import http from 'http';
+import crypto from 'crypto';
+import pg from 'pg';
+import app, { ready, close } from '../server.js';
+
+process.env.SERVER_SECRET = process.env.SERVER_SECRET || 'test-server-secret';
+// Keep the access log out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+const authHeader = `Bearer ${process.env.SERVER_SECRET}`;
 
 describe('TimeKiosk Server API', () => {
+    // Migrations run on startup; a fresh database needs them before the first request
+    before(function () {
+        this.timeout(30000);
+        return ready;
+    });
+
+    // Stops the background jobs and the change feed, and closes the pool
+    after(() => close());
+
     it('GET / should return status message', async () => {
         const res = await request(app)
             .get('/')
@@ -18,9 +36,1051 @@ describe('TimeKiosk Server API', () => {
     it('POST /sync/:collection/pull should return empty list', async () => {
         const res = await request(app)
             .post('/sync/employees/pull')
+            .set('Authorization', authHeader)
             .send({ checkpoint: null });
 
         expect(res.status).to.equal(200);
         expect(res.body).to.have.property('documents').that.is.an('array');
     });
+
+    it('POST /sync/:collection/push should write documents and report conflicts', async () => {
+        const id = `DEP-TEST-${Date.now()}`;
+
+        const created = await request(app)
+            .post('/sync/departments/push')
+            .set('Authorization', authHeader)
+            .send([{ newDocumentState: { id, name: 'Sync Test' }, assumedMasterState: null }]);
+
+        expect(created.status).to.equal(200);
+        expect(created.body).to.be.an('array').that.is.empty;
+
+        const stale = await request(app)
+            .post('/sync/departments/push')
+            .set('Authorization', authHeader)
+            .send([{ newDocumentState: { id, name: 'Stale Write' }, assumedMasterState: null }]);
+
+        expect(stale.status).to.equal(200);
+        expect(stale.body).to.have.lengthOf(1);
+        expect(stale.body[0]).to.include({ id, name: 'Sync Test' });
+
+        const pulled = await request(app)
+            .post('/sync/departments/pull')
+            .set('Authorization', authHeader)
+            .send({ checkpoint: null, batchSize: 1000 });
+
+        expect(pulled.body.documents.map(doc => doc.id)).to.include(id);
+        expect(pulled.body.checkpoint).to.have.property('updatedAt');
+    });
+
+    it('DELETE /:collection/:id should leave a restorable tombstone', async () => {
+        const id = `LOC-TEST-${Date.now()}`;
+
+        await request(app)
+            .post('/locations')
+            .set('Authorization', authHeader)
+            .send({ id, name: 'Tombstone Test' })
+            .expect(201);
+
+        await request(app)
+            .delete(`/locations/${id}`)
+            .set('Authorization', authHeader)
+            .expect(200);
+
+        const visible = await request(app).get('/locations').set('Authorization', authHeader);
+        expect(visible.body.map(doc => doc.id)).to.not.include(id);
+
+        const all = await request(app).get('/locations?includeDeleted=true').set('Authorization', authHeader);
+        expect(all.body.find(doc => doc.id === id)).to.include({ _deleted: true });
+
+        const restored = await request(app)
+            .post(`/locations/${id}/restore`)
+            .set('Authorization', authHeader);
+
+        expect(restored.status).to.equal(200);
+        expect(restored.body).to.include({ id, name: 'Tombstone Test' });
+    });
+
+    it('PUT and sync push onto a tombstone should bring the document back', async () => {
+        const putId = `LOC-REVIVE-PUT-${Date.now()}`;
+        const pushId = `LOC-REVIVE-PUSH-${Date.now()}`;
+        for (const id of [putId, pushId]) {
+            await request(app).post('/locations').set('Authorization', authHeader).send({ id, name: 'Revive Test' }).expect(201);
+            await request(app).delete(`/locations/${id}`).set('Authorization', authHeader).expect(200);
+        }
+
+        const put = await request(app)
+            .put(`/locations/${putId}`)
+            .set('Authorization', authHeader)
+            .send({ name: 'Revived By PUT' });
+        expect(put.status).to.equal(200);
+
+        const tombstone = (await request(app).get('/locations?includeDeleted=true').set('Authorization', authHeader))
+            .body.find(doc => doc.id === pushId);
+        const pushed = await request(app)
+            .post('/sync/locations/push')
+            .set('Authorization', authHeader)
+            .send([{
+                newDocumentState: { id: pushId, name: 'Revived By Push', _deleted: false },
+                assumedMasterState: { ...tombstone, _deleted: true }
+            }]);
+        expect(pushed.status).to.equal(200);
+        expect(pushed.body).to.be.an('array').that.is.empty;
+
+        const visible = await request(app).get('/locations').set('Authorization', authHeader);
+        expect(visible.body.find(doc => doc.id === putId)).to.include({ name: 'Revived By PUT' });
+        expect(visible.body.find(doc => doc.id === pushId)).to.include({ name: 'Revived By Push' });
+    });
+
+    it('GET /sync/:collection/stream should send changed documents with their checkpoint', async () => {
+        await request(app).get('/sync/locations/stream').expect(401);
+        await request(app).get('/sync/nope/stream').set('Authorization', authHeader).expect(404);
+
+        const id = `LOC-STREAM-${Date.now()}`;
+        const server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        let text = '';
+        const stream = http.get({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: '/sync/locations/stream',
+            headers: { Authorization: authHeader }
+        });
+        const waitFor = async (check) => {
+            for (let i = 0; i < 40 && !check(); i++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            expect(check()).to.equal(true);
+        };
+
+        try {
+            const response = await new Promise((resolve, reject) => stream.once('response', resolve).once('error', reject));
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('text/event-stream');
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            // The retry hint goes out once the stream is subscribed to changes
+            await waitFor(() => text.startsWith('retry: '));
+
+            await request(app).post('/locations').set('Authorization', authHeader).send({ id, name: 'Stream Test' }).expect(201);
+
+            const changed = () => text.split('\n\n').find(event => event.includes(id));
+            await waitFor(() => Boolean(changed()));
+            const fields = Object.fromEntries(changed().split('\n').map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+            const data = JSON.parse(fields.data);
+            expect(data.documents.map(doc => doc.id)).to.deep.equal([id]);
+            expect(data.checkpoint).to.include({ id });
+            expect(JSON.parse(Buffer.from(fields.id, 'base64url').toString('utf8'))).to.deep.equal(data.checkpoint);
+        } finally {
+            stream.destroy();
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('enrolled devices should authenticate with their own revocable token', async () => {
+        const enrollment = await request(app)
+            .post('/devices/enrollments')
+            .set('Authorization', authHeader)
+            .send({ name: 'Test Kiosk' });
+
+        expect(enrollment.status).to.equal(201);
+
+        const registered = await request(app)
+            .post('/devices/register')
+            .send({ code: enrollment.body.code.toLowerCase() });
+
+        expect(registered.status).to.equal(201);
+        expect(registered.body).to.include({ name: 'Test Kiosk' });
+
+        const deviceHeader = `Bearer ${registered.body.token}`;
+        const verified = await request(app).get('/verify').set('Authorization', deviceHeader);
+        expect(verified.status).to.equal(200);
+        expect(verified.body.device).to.include({ id: registered.body.id });
+
+        await request(app).post('/devices/register').send({ code: enrollment.body.code }).expect(403);
+        await request(app).get('/devices').set('Authorization', deviceHeader).expect(403);
+
+        await request(app)
+            .post(`/devices/${registered.body.id}/revoke`)
+            .set('Authorization', authHeader)
+            .expect(200);
+
+        await request(app).get('/verify').set('Authorization', deviceHeader).expect(403);
+    });
+
+    it('managers should only see employees in their assigned locations', async () => {
+        const suffix = Date.now();
+        const username = `manager-${suffix}`;
+        const [inside, outside] = [`LOC-IN-${suffix}`, `LOC-OUT-${suffix}`];
+
+        for (const id of [inside, outside]) {
+            await request(app)
+                .post('/locations')
+                .set('Authorization', authHeader)
+                .send({ id, name: id })
+                .expect(201);
+        }
+
+        for (const [id, locationId] of [[`EMP-IN-${suffix}`, inside], [`EMP-OUT-${suffix}`, outside]]) {
+            await request(app)
+                .post('/employees')
+                .set('Authorization', authHeader)
+                .send({ id, name: id, locationId })
+                .expect(201);
+        }
+
+        await request(app)
+            .post('/admin-users')
+            .set('Authorization', authHeader)
+            .send({ username, password: 'manager-pass', role: 'manager', locationIds: [inside] })
+            .expect(201);
+
+        await request(app).post('/auth/login').send({ username, password: 'wrong-pass' }).expect(401);
+
+        const login = await request(app).post('/auth/login').send({ username, password: 'manager-pass' });
+        expect(login.status).to.equal(200);
+        const managerHeader = `Bearer ${login.body.token}`;
+
+        const employees = await request(app).get('/employees').set('Authorization', managerHeader);
+        const ids = employees.body.map(doc => doc.id);
+        expect(ids).to.include(`EMP-IN-${suffix}`);
+        expect(ids).to.not.include(`EMP-OUT-${suffix}`);
+
+        await request(app)
+            .put(`/employees/EMP-OUT-${suffix}`)
+            .set('Authorization', managerHeader)
+            .send({ name: 'Hijacked', pin: '0000', locationId: inside })
+            .expect(403);
+
+        await request(app)
+            .put('/settings/GLOBAL_SETTINGS')
+            .set('Authorization', managerHeader)
+            .send({})
+            .expect(403);
+    });
+
+    it('POST /punch/verify should check hashed PINs and lock out repeated failures', async () => {
+        const id = `EMP-PIN-${Date.now()}`;
+        const pin = String(Date.now()).slice(-8);
+
+        const created = await request(app)
+            .post('/employees')
+            .set('Authorization', authHeader)
+            .send({ id, name: 'Pin Test', pin });
+
+        expect(created.status).to.equal(201);
+        expect(created.body).to.not.have.property('pin');
+        expect(created.body).to.include({ hasPin: true });
+
+        // A fresh kiosk, so lockouts from earlier runs don't carry over
+        const enrollment = await request(app)
+            .post('/devices/enrollments')
+            .set('Authorization', authHeader)
+            .send({ name: 'PIN Test Kiosk' });
+        const device = await request(app).post('/devices/register').send({ code: enrollment.body.code });
+        const kioskHeader = `Bearer ${device.body.token}`;
+
+        const verified = await request(app)
+            .post('/punch/verify')
+            .set('Authorization', kioskHeader)
+            .send({ pin });
+
+        expect(verified.status).to.equal(200);
+        expect(verified.body).to.include({ employeeId: id });
+        expect(verified.body).to.have.property('token');
+
+        for (let attempt = 1; attempt < 5; attempt++) {
+            await request(app)
+                .post('/punch/verify')
+                .set('Authorization', kioskHeader)
+                .send({ employeeId: id, pin: '0000' })
+                .expect(401);
+        }
+        await request(app)
+            .post('/punch/verify')
+            .set('Authorization', kioskHeader)
+            .send({ employeeId: id, pin: '0000' })
+            .expect(429);
+
+        const locked = await request(app)
+            .post('/punch/verify')
+            .set('Authorization', kioskHeader)
+            .send({ employeeId: id, pin });
+
+        expect(locked.status).to.equal(429);
+    });
+
+    it('GET /reports/timesheets should total hours and flag open and overlapping punches', async () => {
+        const stamp = Date.now();
+        const locationId = `LOC-REPORT-${stamp}`;
+        const employeeId = `EMP-REPORT-${stamp}`;
+
+        await request(app)
+            .post('/locations')
+            .set('Authorization', authHeader)
+            .send({ id: locationId, name: 'Report Test' })
+            .expect(201);
+
+        await request(app)
+            .post('/employees')
+            .set('Authorization', authHeader)
+            .send({ id: employeeId, name: 'Report Test', locationId, autoDeductLunch: true, isTemp: true, tempAgency: 'Acme Staffing' })
+            .expect(201);
+
+        const records = [
+            // 10h with a recorded 30 min lunch
+            { clockIn: '2001-01-01T08:00:00', clockOut: '2001-01-01T18:00:00',
+                breaks: [{ start: '2001-01-01T12:00:00', end: '2001-01-01T12:30:00' }] },
+            // 6h, lunch auto-deducted
+            { clockIn: '2001-01-02T09:00:00', clockOut: '2001-01-02T15:00:00' },
+            { clockIn: '2001-01-03T09:00:00', clockOut: null },
+            { clockIn: '2001-01-04T08:00:00', clockOut: '2001-01-04T12:00:00' },
+            { clockIn: '2001-01-04T11:00:00', clockOut: '2001-01-04T13:00:00' }
+        ];
+        for (const [i, record] of records.entries()) {
+            await request(app)
+                .post('/timerecords')
+                .set('Authorization', authHeader)
+                .send({ id: `TR-REPORT-${stamp}-${i}`, employeeId, locationId, ...record })
+                .expect(201);
+        }
+
+        const res = await request(app)
+            .get('/reports/timesheets')
+            .query({ from: '2001-01-01', to: '2001-01-07', locationId, dailyOvertimeHours: 8 })
+            .set('Authorization', authHeader);
+
+        expect(res.status).to.equal(200);
+        const [row] = res.body.employees;
+        expect(row).to.include({ employeeId, tempAgency: 'Acme Staffing' });
+        expect(row.totals).to.include({ totalHours: 15, regularHours: 13.5, overtimeHours: 1.5, lunchDeductionHours: 0.5 });
+        expect(row.days.map(d => d.date)).to.deep.equal(['2001-01-01', '2001-01-02']);
+        expect(row.flagged.map(f => f.reason).sort()).to.deep.equal(['open_punch', 'overlap', 'overlap']);
+        expect(res.body.tempAgencies).to.deep.equal([
+            { tempAgency: 'Acme Staffing', employeeIds: [employeeId], totals: row.totals }
+        ]);
+
+        // Weekly overtime counts the week's days before the period too
+        const midWeek = await request(app)
+            .get('/reports/timesheets')
+            .query({ from: '2001-01-02', to: '2001-01-02', locationId, weeklyOvertimeHours: 12 })
+            .set('Authorization', authHeader);
+        expect(midWeek.status).to.equal(200);
+        const [midWeekRow] = midWeek.body.employees;
+        expect(midWeekRow.days.map(d => d.date)).to.deep.equal(['2001-01-02']);
+        expect(midWeekRow.totals).to.include({ totalHours: 5.5, regularHours: 2.5, overtimeHours: 3 });
+        expect(midWeekRow.flagged).to.be.empty;
+
+        await request(app)
+            .get('/reports/timesheets')
+            .query({ from: '2001-01-07', to: '2001-01-01' })
+            .set('Authorization', authHeader)
+            .expect(400);
+    });
+
+    it('GET /payroll/export should apply the stored mapping and replay locked periods', async () => {
+        const stamp = Date.now();
+        const employeeId = `EMP-PAYROLL-${stamp}`;
+        // A period of its own, so earlier runs' records and locks don't interfere
+        const day = new Date(Date.UTC(1950, 0, 1) + (stamp % 10000) * 86400000).toISOString().slice(0, 10);
+        const period = { from: day, to: day };
+
+        await request(app)
+            .post('/employees')
+            .set('Authorization', authHeader)
+            .send({ id: employeeId, name: 'Payroll Test' })
+            .expect(201);
+        await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-PAYROLL-${stamp}`, employeeId, clockIn: `${day}T08:00:00`, clockOut: `${day}T16:00:00` })
+            .expect(201);
+
+        await request(app)
+            .put('/payroll/formats/csv/mapping')
+            .set('Authorization', authHeader)
+            .send({ employeeExternalIds: { [employeeId]: 'X-1' }, earningCodes: { regular: 'R1' } })
+            .expect(200);
+
+        const exported = await request(app)
+            .get('/payroll/export')
+            .query({ format: 'csv', ...period })
+            .set('Authorization', authHeader);
+
+        expect(exported.status).to.equal(200);
+        expect(exported.headers['content-type']).to.match(/text\/csv/);
+        expect(exported.text).to.contain(`${employeeId},X-1,Payroll Test,${day},${day},R1,8.00`);
+
+        await request(app)
+            .post('/payroll/periods/lock')
+            .set('Authorization', authHeader)
+            .send(period)
+            .expect(201);
+
+        const first = await request(app)
+            .get('/payroll/export')
+            .query({ format: 'csv', ...period })
+            .set('Authorization', authHeader)
+            .expect(200);
+
+        await request(app)
+            .put(`/timerecords/TR-PAYROLL-${stamp}`)
+            .set('Authorization', authHeader)
+            .send({ employeeId, clockIn: `${day}T08:00:00`, clockOut: `${day}T20:00:00` })
+            .expect(200);
+
+        const replayed = await request(app)
+            .get('/payroll/export')
+            .query({ format: 'csv', ...period })
+            .set('Authorization', authHeader)
+            .expect(200);
+
+        expect(replayed.text).to.equal(first.text);
+
+        const exports = await request(app)
+            .get('/payroll/exports')
+            .set('Authorization', authHeader)
+            .expect(200);
+
+        const recorded = exports.body.filter(e => e.from === day && e.format === 'csv');
+        expect(recorded).to.have.lengthOf(3);
+        expect(recorded.filter(e => e.locked)).to.have.lengthOf(2);
+    });
+
+    it('GET /audit should record who changed a time record and why', async () => {
+        const id = `TR-AUDIT-${Date.now()}`;
+        const record = { employeeId: 'EMP-AUDIT', clockIn: '2001-02-01T08:00:00', clockOut: '2001-02-01T16:00:00' };
+
+        await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id, ...record })
+            .expect(201);
+        await request(app)
+            .put(`/timerecords/${id}`)
+            .set('Authorization', authHeader)
+            .set('X-Change-Reason', 'Forgot to clock out')
+            .send({ ...record, clockOut: '2001-02-01T17:00:00' })
+            .expect(200);
+
+        const res = await request(app)
+            .get('/audit')
+            .query({ collection: 'timerecords', documentId: id })
+            .set('Authorization', authHeader);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.map(e => e.action)).to.deep.equal(['update', 'insert']);
+        const [update] = res.body;
+        expect(update).to.include({ actorType: 'owner', reason: 'Forgot to clock out' });
+        // Stored as instants; the record was sent in local time (DEFAULT_TIMEZONE)
+        expect(Date.parse(update.before.clock_out)).to.equal(Date.parse('2001-02-01T16:00:00'));
+        expect(Date.parse(update.after.clock_out)).to.equal(Date.parse('2001-02-01T17:00:00'));
+
+        await request(app)
+            .delete(`/audit/${update.id}`)
+            .set('Authorization', authHeader)
+            .expect(404);
+
+        // Not even SQL can take entries out
+        const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+        await client.connect();
+        try {
+            for (const sql of [`DELETE FROM audit_log WHERE id = ${Number(update.id)}`, 'TRUNCATE audit_log']) {
+                let error = null;
+                await client.query(sql).catch(err => { error = err; });
+                expect(error).to.have.property('message', 'audit_log is append-only');
+            }
+        } finally {
+            await client.end();
+        }
+    });
+
+    it('GET /:collection should filter, sort and page with a cursor', async () => {
+        const employeeId = `EMP-PAGE-${Date.now()}`;
+        for (let day = 1; day <= 5; day++) {
+            await request(app)
+                .post('/timerecords')
+                .set('Authorization', authHeader)
+                .send({ id: `TR-PAGE-${employeeId}-${day}`, employeeId, clockIn: `2001-03-0${day}T08:00:00`, clockOut: `2001-03-0${day}T16:00:00` })
+                .expect(201);
+        }
+
+        const query = { employeeId, from: '2001-03-02', to: '2001-03-05', sort: '-clockIn', limit: 2 };
+        const first = await request(app)
+            .get('/timerecords')
+            .query(query)
+            .set('Authorization', authHeader);
+
+        expect(first.status).to.equal(200);
+        expect(first.body.map(r => r.id)).to.deep.equal([`TR-PAGE-${employeeId}-5`, `TR-PAGE-${employeeId}-4`]);
+        expect(first.headers).to.have.property('x-next-cursor');
+
+        const second = await request(app)
+            .get('/timerecords')
+            .query({ ...query, next: first.headers['x-next-cursor'] })
+            .set('Authorization', authHeader);
+
+        expect(second.body.map(r => r.id)).to.deep.equal([`TR-PAGE-${employeeId}-3`, `TR-PAGE-${employeeId}-2`]);
+        expect(second.headers).to.not.have.property('x-next-cursor');
+
+        await request(app)
+            .get('/locations')
+            .query({ employeeId })
+            .set('Authorization', authHeader)
+            .expect(400);
+        await request(app)
+            .get('/timerecords')
+            .query({ ...query, sort: 'clockIn', next: first.headers['x-next-cursor'] })
+            .set('Authorization', authHeader)
+            .expect(400);
+    });
+
+    it('writes should be validated against the collection schema', async () => {
+        const stamp = Date.now();
+
+        const created = await request(app)
+            .post('/settings')
+            .set('Authorization', authHeader)
+            .send({ id: `SETTINGS-${stamp}` });
+        expect(created.status).to.equal(201);
+        expect(created.body).to.include({ clockFormat: '12', timeoutStatus: 7, enableScreenSaver: true });
+
+        const settings = await request(app)
+            .put(`/settings/SETTINGS-${stamp}`)
+            .set('Authorization', authHeader)
+            .send({ clockFormat: '13', timeoutStatus: 0, kioskLocationId: `LOC-MISSING-${stamp}` });
+        expect(settings.status).to.equal(400);
+        expect(settings.body.fields.map(error => error.field)).to.have.members(['clockFormat', 'timeoutStatus']);
+
+        const location = await request(app)
+            .put(`/settings/SETTINGS-${stamp}`)
+            .set('Authorization', authHeader)
+            .send({ kioskLocationId: `LOC-MISSING-${stamp}` });
+        expect(location.status).to.equal(400);
+        expect(location.body.fields).to.deep.equal([{ field: 'kioskLocationId', message: "refers to a location that doesn't exist" }]);
+
+        const pushed = await request(app)
+            .post('/sync/timerecords/push')
+            .set('Authorization', authHeader)
+            .send([
+                { newDocumentState: { id: `TR-VALID-${stamp}`, employeeId: 'EMP-VALID', clockIn: '2001-04-01T08:00:00' }, assumedMasterState: null },
+                {
+                    newDocumentState: {
+                        id: `TR-INVALID-${stamp}`, employeeId: 'EMP-VALID', clockIn: '2001-04-01T08:00:00', clockOut: '2001-04-01T07:00:00',
+                        breaks: [{ start: '2001-04-01T12:00:00', end: '2001-04-01T12:30:00' }]
+                    },
+                    assumedMasterState: null
+                }
+            ]);
+        expect(pushed.status).to.equal(400);
+        expect(pushed.body.fields).to.deep.equal([
+            { documentId: `TR-INVALID-${stamp}`, field: 'clockOut', message: 'must not be before clockIn' },
+            { documentId: `TR-INVALID-${stamp}`, field: 'breaks[0]', message: 'must be within the shift' }
+        ]);
+
+        // The batch is rejected as a whole
+        await request(app).get(`/timerecords/TR-VALID-${stamp}`).set('Authorization', authHeader).expect(404);
+
+        const notIso = await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-NOT-ISO-${stamp}`, employeeId: 'EMP-VALID', clockIn: '1' });
+        expect(notIso.status).to.equal(400);
+        expect(notIso.body.fields).to.deep.equal([{ field: 'clockIn', message: 'must be a date-time string' }]);
+
+        // Date.parse rolls February 30th over; Postgres refuses it
+        const outOfRange = await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-OUT-OF-RANGE-${stamp}`, employeeId: 'EMP-VALID', clockIn: '2001-02-30T08:00:00Z' });
+        expect(outOfRange.status).to.equal(400);
+        expect(outOfRange.body).to.have.property('error', 'Validation failed');
+
+        const malformed = await request(app)
+            .post('/locations')
+            .set('Authorization', authHeader)
+            .set('Content-Type', 'application/json')
+            .send('{"id":');
+        expect(malformed.status).to.equal(400);
+        expect(malformed.body).to.have.property('error').that.is.a('string');
+    });
+
+    it('POST /media should store images and kiosks should only upload when allowed', async () => {
+        const stamp = Date.now();
+        const png = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#336699' } }).png().toBuffer();
+
+        const uploaded = await request(app)
+            .post('/media')
+            .set('Authorization', authHeader)
+            .attach('file', png, 'photo.png');
+        expect(uploaded.status).to.equal(201);
+        expect(uploaded.body).to.include({ contentType: 'image/png', width: 600, height: 400, url: `/media/${uploaded.body.id}` });
+
+        const original = await request(app).get(uploaded.body.url).set('Authorization', authHeader);
+        expect(original.status).to.equal(200);
+        expect(original.headers['content-type']).to.equal('image/png');
+        expect(original.headers).to.have.property('etag');
+        await request(app)
+            .get(uploaded.body.url)
+            .set('Authorization', authHeader)
+            .set('If-None-Match', original.headers.etag)
+            .expect(304);
+
+        const thumbnail = await request(app).get(uploaded.body.thumbnailUrl).set('Authorization', authHeader);
+        expect(thumbnail.status).to.equal(200);
+        expect(thumbnail.headers['content-type']).to.equal('image/webp');
+
+        await request(app)
+            .post('/media')
+            .set('Authorization', authHeader)
+            .attach('file', Buffer.from('not an image'), { filename: 'photo.png', contentType: 'image/png' })
+            .expect(415);
+
+        const employeeId = `EMP-MEDIA-${stamp}`;
+        await request(app)
+            .put(`/employees/${employeeId}`)
+            .set('Authorization', authHeader)
+            .send({ name: 'Media Test', imageId: `MISSING-${stamp}` })
+            .expect(400);
+        await request(app)
+            .put(`/employees/${employeeId}`)
+            .set('Authorization', authHeader)
+            .send({ name: 'Media Test' })
+            .expect(200);
+
+        const enrollment = await request(app).post('/devices/enrollments').set('Authorization', authHeader).send({ name: 'Photo Kiosk' });
+        const registered = await request(app).post('/devices/register').send({ code: enrollment.body.code });
+        const kioskHeader = `Bearer ${registered.body.token}`;
+
+        const settings = await request(app).get('/settings/GLOBAL_SETTINGS').set('Authorization', authHeader);
+        const setPhotoUpload = (allowEmployeePhotoUpload) => request(app)
+            .put('/settings/GLOBAL_SETTINGS')
+            .set('Authorization', authHeader)
+            .send({ ...settings.body, allowEmployeePhotoUpload })
+            .expect(200);
+
+        try {
+            await setPhotoUpload(false);
+            await request(app)
+                .post('/media')
+                .set('Authorization', kioskHeader)
+                .field('employeeId', employeeId)
+                .attach('file', png, 'photo.png')
+                .expect(403);
+
+            await setPhotoUpload(true);
+            await request(app)
+                .post('/media')
+                .set('Authorization', kioskHeader)
+                .attach('file', png, 'photo.png')
+                .expect(403);
+            const photo = await request(app)
+                .post('/media')
+                .set('Authorization', kioskHeader)
+                .field('employeeId', employeeId)
+                .attach('file', png, 'photo.png');
+            expect(photo.status).to.equal(201);
+            expect(photo.body.employee).to.include({ id: employeeId, imageId: photo.body.id, imageUrl: photo.body.url });
+        } finally {
+            await setPhotoUpload(settings.body.allowEmployeePhotoUpload);
+        }
+    });
+
+    it('anomaly scan should record exceptions, auto-close by location policy and let managers resolve them', async () => {
+        const stamp = Date.now();
+        const locationId = `LOC-ANOMALY-${stamp}`;
+        const hoursAgo = (hours) => new Date(Date.now() - hours * 3600000).toISOString();
+
+        await request(app).post('/locations').set('Authorization', authHeader).send({ id: locationId, name: 'Anomaly Test' }).expect(201);
+        const policy = await request(app)
+            .put(`/exceptions/policies/${locationId}`)
+            .set('Authorization', authHeader)
+            .send({ openShiftHours: 2, autoClose: true, autoCloseShiftHours: 1 });
+        expect(policy.status).to.equal(200);
+        expect(policy.body.effective).to.include({ openShiftHours: 2, autoClose: true, longShiftHours: 12 });
+
+        const records = {
+            open: { employeeId: `EMP-A-${stamp}`, clockIn: hoursAgo(3) },
+            earlier: { employeeId: `EMP-B-${stamp}`, clockIn: hoursAgo(4), clockOut: hoursAgo(2) },
+            overlapping: { employeeId: `EMP-B-${stamp}`, clockIn: hoursAgo(3), clockOut: hoursAgo(1) },
+            short: { employeeId: `EMP-C-${stamp}`, clockIn: hoursAgo(5), clockOut: hoursAgo(4.99) },
+            openBreak: { employeeId: `EMP-C-${stamp}`, clockIn: hoursAgo(10), clockOut: hoursAgo(9), breaks: [{ start: hoursAgo(9.5) }] }
+        };
+        for (const [name, record] of Object.entries(records)) {
+            await request(app)
+                .put(`/timerecords/TR-${name}-${stamp}`)
+                .set('Authorization', authHeader)
+                .send({ ...record, locationId })
+                .expect(200);
+        }
+
+        const scan = await request(app).post('/exceptions/scan').set('Authorization', authHeader);
+        expect(scan.status).to.equal(200);
+        expect(scan.body.autoClosed).to.be.at.least(1);
+
+        const found = await request(app).get('/exceptions').query({ locationId }).set('Authorization', authHeader);
+        expect(found.status).to.equal(200);
+        const byKind = Object.fromEntries(found.body.map(e => [e.kind, e]));
+        expect(Object.keys(byKind)).to.have.members(['open_shift', 'overlap', 'short_shift', 'open_break']);
+        expect(byKind.open_shift).to.include({ timerecordId: `TR-open-${stamp}` });
+        expect(byKind.open_shift.details).to.include({ autoClosed: true });
+        expect(byKind.overlap).to.include({ timerecordId: `TR-overlapping-${stamp}`, relatedTimerecordId: `TR-earlier-${stamp}` });
+
+        const closed = await request(app).get(`/timerecords/TR-open-${stamp}`).set('Authorization', authHeader);
+        expect(closed.body.clockOut).to.not.equal(null);
+
+        const resolved = await request(app)
+            .post(`/exceptions/${byKind.overlap.id}/resolve`)
+            .set('Authorization', authHeader)
+            .send({ note: 'Duplicate punch, confirmed with employee' });
+        expect(resolved.body).to.include({ status: 'resolved', note: 'Duplicate punch, confirmed with employee', resolvedByType: 'owner' });
+        await request(app).post(`/exceptions/${byKind.short_shift.id}/ignore`).set('Authorization', authHeader).send({}).expect(200);
+
+        // Fixing the record resolves its exception on the next scan
+        await request(app)
+            .put(`/timerecords/TR-openBreak-${stamp}`)
+            .set('Authorization', authHeader)
+            .send({ ...records.openBreak, locationId, breaks: [{ start: hoursAgo(9.5), end: hoursAgo(9.25) }] })
+            .expect(200);
+        await request(app).post('/exceptions/scan').set('Authorization', authHeader).expect(200);
+
+        const open = await request(app).get('/exceptions').query({ locationId }).set('Authorization', authHeader);
+        expect(open.body.map(e => e.kind)).to.deep.equal(['open_shift']);
+        const all = await request(app).get('/exceptions').query({ locationId, status: 'all' }).set('Authorization', authHeader);
+        expect(all.body.find(e => e.kind === 'open_break')).to.include({ status: 'resolved', resolvedByType: 'system' });
+        expect(all.body.find(e => e.kind === 'overlap')).to.include({ status: 'resolved' });
+    });
+
+    it('correction requests should be submitted with a punch token and applied on approval', async () => {
+        const stamp = Date.now();
+        const employeeId = `EMP-CORRECTION-${stamp}`;
+        const pin = String(stamp).slice(-9);
+
+        await request(app).post('/employees').set('Authorization', authHeader).send({ id: employeeId, name: 'Correction Test', pin }).expect(201);
+        await request(app)
+            .put(`/timerecords/TR-CORRECTION-${stamp}`)
+            .set('Authorization', authHeader)
+            .send({ employeeId, clockIn: '2001-05-01T08:00:00' })
+            .expect(200);
+
+        const enrollment = await request(app).post('/devices/enrollments').set('Authorization', authHeader).send({ name: 'Correction Kiosk' });
+        const registered = await request(app).post('/devices/register').send({ code: enrollment.body.code });
+        const kioskHeader = `Bearer ${registered.body.token}`;
+        const verified = await request(app).post('/punch/verify').set('Authorization', kioskHeader).send({ employeeId, pin });
+        const submit = (body) => request(app)
+            .post('/correction_requests')
+            .set('Authorization', kioskHeader)
+            .send({ punchToken: verified.body.token, reason: 'Forgot to clock out', ...body });
+
+        await submit({ punchToken: 'forged.token', type: 'missed_clock_out', timerecordId: `TR-CORRECTION-${stamp}`, changes: { clockOut: '2001-05-01T16:00:00' } })
+            .expect(401);
+
+        const missed = await submit({ type: 'missed_clock_out', timerecordId: `TR-CORRECTION-${stamp}`, changes: { clockOut: '2001-05-01T16:00:00' } });
+        expect(missed.status).to.equal(201);
+        expect(missed.body).to.include({ employeeId, status: 'pending', timerecordId: `TR-CORRECTION-${stamp}` });
+        await submit({ type: 'missed_clock_out', timerecordId: `TR-CORRECTION-${stamp}`, changes: { clockOut: '2001-05-01T17:00:00' } }).expect(409);
+
+        const invalid = await submit({ type: 'forgotten_punch', changes: { clockIn: '2001-05-02T08:00:00', clockOut: '2001-05-02T07:00:00' } });
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.fields).to.deep.equal([{ field: 'clockOut', message: 'must not be before clockIn' }]);
+        const forgotten = await submit({ type: 'forgotten_punch', changes: { clockIn: '2001-05-02T08:00:00', clockOut: '2001-05-02T16:00:00' } });
+        expect(forgotten.status).to.equal(201);
+
+        // Only the workflow routes change requests
+        await request(app).post(`/correction_requests/${missed.body.id}/approve`).set('Authorization', kioskHeader).send({}).expect(403);
+        await request(app).put(`/correction_requests/${missed.body.id}`).set('Authorization', authHeader).send({ status: 'approved' }).expect(403);
+
+        const approved = await request(app)
+            .post(`/correction_requests/${missed.body.id}/approve`)
+            .set('Authorization', authHeader)
+            .send({ note: 'Confirmed with supervisor' });
+        expect(approved.status).to.equal(200);
+        expect(approved.body).to.include({ status: 'approved', decisionNote: 'Confirmed with supervisor', appliedTimerecordId: `TR-CORRECTION-${stamp}` });
+        expect(approved.body.timerecord).to.include({ id: `TR-CORRECTION-${stamp}`, correctionRequestId: missed.body.id });
+        expect(new Date(approved.body.timerecord.clockOut).getTime()).to.equal(new Date('2001-05-01T16:00:00').getTime());
+        await request(app).post(`/correction_requests/${missed.body.id}/reject`).set('Authorization', authHeader).send({}).expect(409);
+
+        await request(app).post(`/correction_requests/${forgotten.body.id}/reject`).set('Authorization', authHeader).send({}).expect(200);
+
+        const pulled = await request(app)
+            .post('/sync/correction_requests/pull')
+            .set('Authorization', kioskHeader)
+            .send({ checkpoint: null, batchSize: 1000 });
+        const statuses = Object.fromEntries(pulled.body.documents.filter(doc => doc.employeeId === employeeId).map(doc => [doc.id, doc.status]));
+        expect(statuses).to.deep.equal({ [missed.body.id]: 'approved', [forgotten.body.id]: 'rejected' });
+
+        const pending = await request(app).get('/correction_requests').query({ employeeId, status: 'pending' }).set('Authorization', authHeader);
+        expect(pending.body).to.be.an('array').that.is.empty;
+    });
+
+    it('settings should fall back from device to location to global scope', async () => {
+        const stamp = Date.now();
+        const locationId = `LOC-SETTINGS-${stamp}`;
+        await request(app).post('/locations').set('Authorization', authHeader).send({ id: locationId, name: 'Settings Test' }).expect(201);
+
+        const enrollment = await request(app).post('/devices/enrollments').set('Authorization', authHeader).send({ name: 'Settings Kiosk', kioskLocationId: locationId });
+        const device = await request(app).post('/devices/register').send({ code: enrollment.body.code });
+        const kioskHeader = `Bearer ${device.body.token}`;
+
+        await request(app)
+            .put(`/settings/location:LOC-MISSING-${stamp}`)
+            .set('Authorization', authHeader)
+            .send({ clockFormat: '24' })
+            .expect(400);
+        // Scoped documents only hold their overrides; the rest is inherited
+        const location = await request(app)
+            .put(`/settings/location:${locationId}`)
+            .set('Authorization', authHeader)
+            .send({ clockFormat: '24', timeoutStatus: 20 });
+        expect(location.status).to.equal(200);
+        expect(location.body).to.include({ clockFormat: '24', enableScreenSaver: null });
+        await request(app)
+            .put(`/settings/device:${device.body.id}`)
+            .set('Authorization', authHeader)
+            .send({ timeoutStatus: 30 })
+            .expect(200);
+
+        const global = await request(app).get('/settings/GLOBAL_SETTINGS').set('Authorization', authHeader);
+        const effective = await request(app).get('/settings/effective').query({ deviceId: device.body.id }).set('Authorization', authHeader);
+        expect(effective.status).to.equal(200);
+        expect(effective.body).to.include({ deviceId: device.body.id, locationId });
+        expect(effective.body.settings).to.include({
+            timeoutStatus: 30, clockFormat: '24', kioskLocationId: locationId, weekStartDay: global.body.weekStartDay
+        });
+        expect(effective.body.sources).to.include({
+            timeoutStatus: 'device', clockFormat: 'location', kioskLocationId: 'device', weekStartDay: 'global'
+        });
+
+        const atLocation = await request(app).get('/settings/effective').query({ locationId }).set('Authorization', authHeader);
+        expect(atLocation.body.settings).to.include({ timeoutStatus: 20, clockFormat: '24' });
+        await request(app).get('/settings/effective').query({ deviceId: 'DEV-MISSING' }).set('Authorization', authHeader).expect(404);
+        await request(app).get('/settings/effective').query({ deviceId: 'DEV-OTHER' }).set('Authorization', kioskHeader).expect(403);
+
+        // Older kiosks sync settings and read GLOBAL_SETTINGS: they get their effective settings there
+        const pulled = await request(app)
+            .post('/sync/settings/pull')
+            .set('Authorization', kioskHeader)
+            .send({ checkpoint: null, batchSize: 1000 });
+        expect(pulled.status).to.equal(200);
+        const ids = pulled.body.documents.map(doc => doc.id);
+        expect(ids.filter(id => id === 'GLOBAL_SETTINGS')).to.have.lengthOf(1);
+        expect(ids.filter(id => id.startsWith('location:') || id.startsWith('device:'))).to.be.empty;
+        expect(pulled.body.documents.find(doc => doc.id === 'GLOBAL_SETTINGS')).to.include({ timeoutStatus: 30, clockFormat: '24', _deleted: false });
+    });
+
+    it('punch times should be read in the location time zone and hours counted by local day', async () => {
+        const stamp = Date.now();
+        const locationId = `LOC-TZ-${stamp}`;
+        const employeeId = `EMP-TZ-${stamp}`;
+
+        await request(app).post('/locations').set('Authorization', authHeader).send({ id: `${locationId}-BAD`, name: 'Bad Zone', timezone: 'Mars/Base' }).expect(400);
+        await request(app).post('/locations').set('Authorization', authHeader).send({ id: locationId, name: 'New York', timezone: 'America/New_York' }).expect(201);
+        await request(app).post('/employees').set('Authorization', authHeader).send({ id: employeeId, name: 'Zone Test', locationId }).expect(201);
+
+        // Across the spring-forward change: 01:00 to 04:00 local is two hours
+        const dst = await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-DST-${stamp}`, employeeId, locationId, clockIn: '2024-03-10T01:00:00', clockOut: '2024-03-10T04:00:00' });
+        expect(dst.status).to.equal(201);
+        expect(dst.body).to.include({ clockIn: '2024-03-10T06:00:00.000Z', clockOut: '2024-03-10T08:00:00.000Z' });
+        // Late evening locally is already the next day in UTC
+        await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-EVENING-${stamp}`, employeeId, locationId, clockIn: '2024-03-11T22:00:00', clockOut: '2024-03-11T23:30:00' })
+            .expect(201);
+
+        const report = await request(app)
+            .get('/reports/timesheets')
+            .query({ from: '2024-03-10', to: '2024-03-11', locationId })
+            .set('Authorization', authHeader);
+        expect(report.status).to.equal(200);
+        const days = report.body.employees.find(e => e.employeeId === employeeId).days;
+        expect(days.map(day => [day.date, day.totalHours])).to.deep.equal([['2024-03-10', 2], ['2024-03-11', 1.5]]);
+
+        const ahead = await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-AHEAD-${stamp}`, employeeId, locationId, clockIn: new Date(Date.now() + 3600000).toISOString() });
+        expect(ahead.status).to.equal(400);
+        expect(ahead.body.fields.map(error => error.field)).to.deep.equal(['clockIn']);
+
+        process.env.MAX_PUNCH_AGE_DAYS = '30';
+        try {
+            const old = await request(app)
+                .post('/timerecords')
+                .set('Authorization', authHeader)
+                .send({ id: `TR-OLD-${stamp}`, employeeId, locationId, clockIn: new Date(Date.now() - 31 * 86400000).toISOString() });
+            expect(old.status).to.equal(400);
+            expect(old.body.fields).to.deep.equal([{ field: 'clockIn', message: 'is more than 30 days before the server clock' }]);
+            await request(app)
+                .post('/timerecords')
+                .set('Authorization', authHeader)
+                .send({ id: `TR-RECENT-${stamp}`, employeeId, locationId, clockIn: new Date(Date.now() - 29 * 86400000).toISOString() })
+                .expect(201);
+        } finally {
+            delete process.env.MAX_PUNCH_AGE_DAYS;
+        }
+    });
+
+    it('employees should import from CSV with a dry-run preview and back up as JSON or NDJSON', async () => {
+        const stamp = Date.now();
+        const locationName = `Import Depot ${stamp}`;
+        const locationId = `LOC-IMP-${stamp}`;
+        const existingId = `EMP-IMP-${stamp}`;
+        await request(app).post('/locations').set('Authorization', authHeader).send({ id: locationId, name: locationName }).expect(201);
+        await request(app).post('/employees').set('Authorization', authHeader).send({ id: existingId, name: 'Before Import' }).expect(201);
+
+        const importCsv = (csv, query = {}) => request(app)
+            .post('/import/employees')
+            .query(query)
+            .set('Authorization', authHeader)
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+        const csv = [
+            'id,name,location,isTemp',
+            `${existingId},After Import,${locationName.toUpperCase()},`,
+            `,"Doe, Jane ${stamp}",${locationName},yes`
+        ].join('\r\n');
+
+        const preview = await importCsv(csv, { dryRun: 'true' });
+        expect(preview.status).to.equal(200);
+        expect(preview.body.errors).to.be.empty;
+        expect(preview.body.updates.map(u => [u.id, u.changes])).to.deep.equal([[existingId, ['name', 'locationId']]]);
+        expect(preview.body.creates.map(c => c.name)).to.deep.equal([`Doe, Jane ${stamp}`]);
+        const unchanged = await request(app).get(`/employees/${existingId}`).set('Authorization', authHeader);
+        expect(unchanged.body.name).to.equal('Before Import');
+
+        const invalid = await importCsv(`name,location\nNobody,No Such Place ${stamp}`);
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.errors).to.deep.equal([{ line: 2, field: 'location', message: `no location named "No Such Place ${stamp}"` }]);
+
+        await importCsv(csv).expect(200);
+        const updated = await request(app).get(`/employees/${existingId}`).set('Authorization', authHeader);
+        expect(updated.body).to.include({ name: 'After Import', locationId });
+
+        const json = await request(app).get('/backup').set('Authorization', authHeader);
+        expect(json.status).to.equal(200);
+        expect(json.body).to.include({ format: 'timekiosk-backup', version: 1 });
+        expect(json.body.tables.employees.map(e => e.id)).to.include(existingId);
+        expect(json.body.tables.employees.find(e => e.name === `Doe, Jane ${stamp}`)).to.include({ location_id: locationId, is_temp: true });
+
+        const ndjson = await request(app).get('/backup').query({ format: 'ndjson' }).set('Authorization', authHeader).buffer(true).parse((res, done) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => done(null, text));
+        });
+        const lines = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines[0]).to.include({ format: 'timekiosk-backup', schemaVersion: json.body.schemaVersion });
+        expect(lines.some(line => line.table === 'employees' && line.row.id === existingId)).to.equal(true);
+        expect(lines[lines.length - 1]).to.deep.equal({ end: true });
+
+        // Restores only go into an empty database at the same schema version
+        await request(app).post('/restore').set('Authorization', authHeader).send({ ...json.body, schemaVersion: 1 }).expect(409);
+        const notEmpty = await request(app).post('/restore').set('Authorization', authHeader).send(json.body);
+        expect(notEmpty.status).to.equal(409);
+        expect(notEmpty.body.error).to.match(/not empty/);
+    });
+
+    it('webhooks should send signed punch and employee events, log failures and redeliver', async () => {
+        const stamp = Date.now();
+        const employeeId = `EMP-WH-${stamp}`;
+        const received = [];
+        let responseStatus = 200;
+        const stub = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(responseStatus).end(responseStatus === 200 ? 'ok' : 'try later');
+            });
+        });
+        await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+        const waitFor = async (check) => {
+            for (let i = 0; i < 30 && !await check(); i++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            expect(await check()).to.equal(true);
+        };
+
+        try {
+            await request(app).post('/webhooks').set('Authorization', authHeader).send({ url: 'ftp://example.com', events: ['punch.clock_in'] }).expect(400);
+            const created = await request(app)
+                .post('/webhooks')
+                .set('Authorization', authHeader)
+                .send({ url: `http://127.0.0.1:${stub.address().port}/hooks`, events: ['punch.clock_in', 'employee.archived'] });
+            expect(created.status).to.equal(201);
+            const { id: webhookId, secret } = created.body;
+            expect(secret).to.be.a('string');
+
+            await request(app).post('/employees').set('Authorization', authHeader).send({ id: employeeId, name: 'Hook Test' }).expect(201);
+            const clockIn = new Date(Date.now() - 3600000).toISOString();
+            await request(app).post('/timerecords').set('Authorization', authHeader).send({ id: `TR-WH-${stamp}`, employeeId, clockIn }).expect(201);
+            await request(app).put(`/employees/${employeeId}`).set('Authorization', authHeader).send({ name: 'Hook Test', archived: true }).expect(200);
+            await waitFor(() => received.length === 2);
+
+            const events = received.map(({ headers, body }) => {
+                const signature = crypto.createHmac('sha256', secret).update(`${headers['x-timekiosk-timestamp']}.${body}`).digest('hex');
+                expect(headers['x-timekiosk-signature']).to.equal(`sha256=${signature}`);
+                return JSON.parse(body);
+            }).sort((a, b) => a.type.localeCompare(b.type));
+            expect(events.map(event => event.type)).to.deep.equal(['employee.archived', 'punch.clock_in']);
+            expect(events[0].data).to.include({ id: employeeId, archived: true, hasPin: false });
+            expect(events[1].data).to.include({ employeeId, clockIn, clockOut: null });
+
+            // A failed delivery is retried later; redelivering it sends the same event again
+            responseStatus = 500;
+            await request(app).post('/timerecords').set('Authorization', authHeader).send({ id: `TR-WH2-${stamp}`, employeeId, clockIn }).expect(201);
+            const deliveries = () => request(app).get(`/webhooks/${webhookId}/deliveries`).set('Authorization', authHeader);
+            await waitFor(async () => (await deliveries()).body[0].attempts === 1);
+            const [failed] = (await deliveries()).body;
+            expect(failed).to.include({ status: 'pending', responseStatus: 500, lastError: 'HTTP 500', responseBody: 'try later' });
+            expect(Date.parse(failed.nextAttemptAt)).to.be.greaterThan(Date.parse(failed.lastAttemptAt));
+
+            responseStatus = 200;
+            const redelivered = await request(app)
+                .post(`/webhooks/${webhookId}/deliveries/${failed.id}/redeliver`)
+                .set('Authorization', authHeader);
+            expect(redelivered.status).to.equal(202);
+            expect(redelivered.body).to.include({ eventId: failed.eventId, redeliveryOf: failed.id });
+            await waitFor(async () => (await deliveries()).body[0].status === 'delivered');
+            expect(JSON.parse(received[received.length - 1].body).id).to.equal(failed.eventId);
+
+            await request(app).delete(`/webhooks/${webhookId}`).set('Authorization', authHeader).expect(200);
+        } finally {
+            stub.close();
+        }
+    });
+
+    it('health, readiness and metrics endpoints should report the server state', async () => {
+        await request(app).get('/healthz').expect(200);
+        const ready = await request(app).get('/readyz');
+        expect(ready.status).to.equal(200);
+        expect(ready.body).to.deep.equal({ status: 'ready', checks: { database: 'ok', migrations: 'ok' } });
+
+        // Request ids are taken from the caller or generated, and returned
+        const traced = await request(app).get('/employees').set('Authorization', authHeader).set('X-Request-Id', 'trace-123');
+        expect(traced.headers['x-request-id']).to.equal('trace-123');
+        const generated = await request(app).get('/healthz').set('X-Request-Id', 'not a valid id');
+        expect(generated.headers['x-request-id']).to.match(/^[0-9a-f-]{36}$/);
+
+        const stamp = Date.now();
+        await request(app).post('/employees').set('Authorization', authHeader).send({ id: `EMP-MET-${stamp}`, name: 'Metrics Test' }).expect(201);
+        await request(app)
+            .post('/timerecords')
+            .set('Authorization', authHeader)
+            .send({ id: `TR-MET-${stamp}`, employeeId: `EMP-MET-${stamp}`, clockIn: new Date(Date.now() - 60000).toISOString() })
+            .expect(201);
+        await request(app).post('/sync/timerecords/pull').set('Authorization', authHeader).send({ checkpoint: null, batchSize: 5 }).expect(200);
+
+        const metrics = await request(app).get('/metrics');
+        expect(metrics.status).to.equal(200);
+        expect(metrics.headers['content-type']).to.match(/^text\/plain;.*version=0\.0\.4/);
+        expect(metrics.text).to.include('timekiosk_http_requests_total{method="GET",route="/:collection",collection="employees",status="200"}');
+        expect(metrics.text).to.match(/timekiosk_http_request_duration_seconds_count\{method="POST",route="\/:collection",collection="timerecords"\} \d+/);
+        expect(metrics.text).to.match(/timekiosk_sync_documents_total\{collection="timerecords",direction="pull"\} \d+/);
+        expect(metrics.text).to.match(/timekiosk_punches_total\{event="clock_in"\} \d+/);
+        expect(metrics.text).to.match(/timekiosk_db_pool_connections\{state="idle"\} \d+/);
+    });
 });